@@ -0,0 +1,134 @@
+// almacenamiento.js
+// Dónde se guardan los archivos subidos: disco local (por defecto) o un bucket compatible con S3
+// (AWS S3, MinIO, etc.). Se elige con ALMACENAMIENTO=local|s3.
+//
+// Cada driver expone:
+//   nombre                          "local" | "s3"
+//   guardar(nombre, buffer, tipo)   sube el archivo y devuelve su URL pública
+//   leer(nombre)                    contenido del archivo (Buffer)
+//   eliminar(nombre)                borra el archivo; no falla si no existe
+//   nombreDesdeUrl(url)             nombre del archivo si la URL es de este almacenamiento, si no null
+const path = require("path");
+const fs = require("fs");
+require("dotenv").config();
+
+// Carpeta de subidas en disco. También la sirve /uploads aunque el driver sea S3 (archivos aún sin migrar).
+const DIRECTORIO_UPLOADS = process.env.UPLOADS_DIR || path.join(__dirname, "uploads");
+const PREFIJO_URL_LOCAL = "/uploads/";
+
+const TIPOS_POR_EXTENSION = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+function tipoPorNombre(nombre) {
+  return TIPOS_POR_EXTENSION[path.extname(nombre).toLowerCase()] || "application/octet-stream";
+}
+
+// Solo nombres simples: nada de rutas ni "..", vengan de donde vengan
+function nombreSeguro(nombre) {
+  const base = path.basename(String(nombre || ""));
+  if (!base || base === "." || base === "..") throw new Error(`Nombre de archivo inválido: ${nombre}`);
+  return base;
+}
+
+function crearLocal() {
+  return {
+    nombre: "local",
+    async guardar(nombre, buffer) {
+      const archivo = nombreSeguro(nombre);
+      await fs.promises.mkdir(DIRECTORIO_UPLOADS, { recursive: true });
+      await fs.promises.writeFile(path.join(DIRECTORIO_UPLOADS, archivo), buffer);
+      return PREFIJO_URL_LOCAL + archivo;
+    },
+    async leer(nombre) {
+      return fs.promises.readFile(path.join(DIRECTORIO_UPLOADS, nombreSeguro(nombre)));
+    },
+    async eliminar(nombre) {
+      await fs.promises.unlink(path.join(DIRECTORIO_UPLOADS, nombreSeguro(nombre))).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+    nombreDesdeUrl(url) {
+      if (typeof url !== "string" || !url.startsWith(PREFIJO_URL_LOCAL)) return null;
+      return path.basename(url.slice(PREFIJO_URL_LOCAL.length)) || null;
+    },
+  };
+}
+
+// S3_BUCKET es obligatorio. Para MinIO u otro servicio compatible: S3_ENDPOINT y S3_FORCE_PATH_STYLE=true.
+// S3_PUBLIC_URL es la URL base con que se publican los objetos (CDN, dominio propio); si no viene se
+// arma desde el endpoint o desde la región de AWS.
+function crearS3() {
+  // Se carga solo si se usa, para no exigir el SDK a quien guarda en disco
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error("ALMACENAMIENTO=s3 requiere S3_BUCKET");
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  const forcePathStyle = ["true", "1"].includes(String(process.env.S3_FORCE_PATH_STYLE || "").toLowerCase());
+  const prefijo = (process.env.S3_PREFIX || "uploads/").replace(/^\/+/, "");
+
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "" }
+    : undefined; // sin claves explícitas se usa la cadena por defecto del SDK (variables AWS_*, rol de la instancia)
+  const cliente = new S3Client({ region, endpoint, forcePathStyle, credentials });
+
+  const urlBase = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint
+      ? forcePathStyle
+        ? `${endpoint.replace(/\/+$/, "")}/${bucket}`
+        : endpoint.replace(/^(https?:\/\/)/, `$1${bucket}.`)
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, "");
+  const urlObjetos = `${urlBase}/${prefijo}`;
+
+  return {
+    nombre: "s3",
+    async guardar(nombre, buffer, tipo) {
+      const archivo = nombreSeguro(nombre);
+      await cliente.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: prefijo + archivo,
+          Body: buffer,
+          ContentType: tipo || tipoPorNombre(archivo),
+          // Los nombres son únicos por subida: el contenido de una URL nunca cambia
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+      return urlObjetos + archivo;
+    },
+    async leer(nombre) {
+      const respuesta = await cliente.send(new GetObjectCommand({ Bucket: bucket, Key: prefijo + nombreSeguro(nombre) }));
+      return Buffer.from(await respuesta.Body.transformToByteArray());
+    },
+    async eliminar(nombre) {
+      // DeleteObject no falla si el objeto no existe
+      await cliente.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefijo + nombreSeguro(nombre) }));
+    },
+    nombreDesdeUrl(url) {
+      if (typeof url !== "string" || !url.startsWith(urlObjetos)) return null;
+      const resto = url.slice(urlObjetos.length);
+      return resto && !resto.includes("/") ? resto : null;
+    },
+  };
+}
+
+const DRIVERS = { local: crearLocal, s3: crearS3 };
+
+function crearAlmacenamiento(driver = process.env.ALMACENAMIENTO || "local") {
+  const crear = DRIVERS[String(driver).toLowerCase()];
+  if (!crear) throw new Error(`ALMACENAMIENTO debe ser ${Object.keys(DRIVERS).join(" o ")} (recibido: ${driver})`);
+  return crear();
+}
+
+// Driver configurado para este proceso
+const almacenamiento = crearAlmacenamiento();
+
+module.exports = { DIRECTORIO_UPLOADS, PREFIJO_URL_LOCAL, tipoPorNombre, crearAlmacenamiento, almacenamiento };
@@ -0,0 +1,154 @@
+// auth.js
+// Middleware de autenticación/autorización compartido por todas las APIs
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+const SECRET_KEY = process.env.JWT_SECRET || "CLAVE_SUPER_SECRETA";
+// Los tokens de acceso son de corta duración; la sesión se renueva con refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+const ROLES = {
+  ADMIN: "admin",
+  VENDEDOR: "vendedor",
+  CLIENTE: "cliente",
+};
+const ROLES_VALIDOS = Object.values(ROLES);
+
+// Normaliza el tipo_usuario de la BD a un rol conocido (por defecto cliente)
+function normalizarRol(tipoUsuario) {
+  const rol = String(tipoUsuario || "").trim().toLowerCase();
+  return ROLES_VALIDOS.includes(rol) ? rol : ROLES.CLIENTE;
+}
+
+// Firma el token de acceso con correo, id y rol del usuario
+function firmarToken(userRow, opciones = {}) {
+  const payload = {
+    usuario: userRow.correo,
+    id: userRow.id,
+    rol: normalizarRol(userRow.tipo_usuario),
+  };
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL, ...opciones });
+}
+
+// Extrae el token "Bearer xxx" del header Authorization
+function extraerToken(req) {
+  const authHeader = req.headers["authorization"];
+  if (!authHeader) return null;
+  const [tipo, token] = authHeader.split(" ");
+  if (!token || tipo.toLowerCase() !== "bearer") return null;
+  return token;
+}
+
+// Middleware JWT: deja el correo en req.usuario y los claims en req.auth
+function verificarToken(req, res, next) {
+  const token = extraerToken(req);
+  if (!token) return res.status(403).json({ message: "Token requerido" });
+
+  jwt.verify(token, SECRET_KEY, (err, decoded) => {
+    if (err) return res.status(401).json({ message: "Token inválido" });
+    req.usuario = decoded.usuario;
+    // Tokens antiguos no traen rol: se tratan como cliente
+    req.auth = {
+      id: decoded.id ?? null,
+      correo: decoded.usuario,
+      rol: normalizarRol(decoded.rol),
+    };
+    next();
+  });
+}
+
+// Middleware de autorización por rol. Debe ir después de verificarToken.
+// Uso: app.get("/ruta", verificarToken, autorizarRoles("admin", "vendedor"), handler)
+function autorizarRoles(...roles) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(403).json({ message: "Token requerido" });
+    if (!roles.includes(req.auth.rol)) {
+      return res.status(403).json({ message: "No autorizado" });
+    }
+    next();
+  };
+}
+
+// Lee los claims si viene un token válido, sin exigirlo (null en otro caso)
+function leerTokenOpcional(req) {
+  const token = extraerToken(req);
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, SECRET_KEY);
+    return { id: decoded.id ?? null, correo: decoded.usuario, rol: normalizarRol(decoded.rol) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============ POLÍTICAS POR RUTA ============
+// Cada ruta declara su política y esta se traduce a la cadena de middlewares.
+// La anotación Swagger "security: bearerAuth" corresponde a todo lo que no es PUBLICA.
+const POLITICAS = {
+  PUBLICA: "publica",
+  AUTENTICADO: "autenticado",
+  PROPIETARIO: "propietario",
+  ADMIN: "admin",
+};
+
+// Middleware de dueño del recurso. `obtenerPropietario(req)` devuelve el user_id dueño
+// (puede ser async); si devuelve undefined el recurso no existe y el handler responde 404.
+// Los roles en `roles` (admin siempre) pasan sin ser dueños.
+function autorizarPropietario(obtenerPropietario, roles = []) {
+  const rolesConAcceso = [ROLES.ADMIN, ...roles];
+  return async (req, res, next) => {
+    if (!req.auth) return res.status(403).json({ message: "Token requerido" });
+    if (rolesConAcceso.includes(req.auth.rol)) return next();
+
+    try {
+      const propietario = await obtenerPropietario(req);
+      if (propietario === undefined) return next();
+      if (propietario === null || req.auth.id === null || String(propietario) !== String(req.auth.id)) {
+        return res.status(403).json({ message: "No autorizado" });
+      }
+      next();
+    } catch (err) {
+      console.error("Error verificando propietario:", err.stack || err);
+      res.status(500).json({ message: "Error verificando permisos" });
+    }
+  };
+}
+
+// Devuelve los middlewares para una política:
+//   politica(POLITICAS.PUBLICA)
+//   politica(POLITICAS.AUTENTICADO)                       -> cualquier token válido
+//   politica(POLITICAS.AUTENTICADO, { roles: [...] })     -> token válido con alguno de esos roles
+//   politica(POLITICAS.PROPIETARIO, { param: "id" })      -> dueño según req.params.id (o admin)
+//   politica(POLITICAS.PROPIETARIO, { propietario: fn })  -> dueño según fn(req)
+//   politica(POLITICAS.ADMIN)
+function politica(tipo, opciones = {}) {
+  switch (tipo) {
+    case POLITICAS.PUBLICA:
+      return [];
+    case POLITICAS.AUTENTICADO:
+      return opciones.roles ? [verificarToken, autorizarRoles(...opciones.roles)] : [verificarToken];
+    case POLITICAS.PROPIETARIO: {
+      const obtenerPropietario = opciones.propietario || ((req) => req.params[opciones.param || "id"]);
+      return [verificarToken, autorizarPropietario(obtenerPropietario, opciones.roles)];
+    }
+    case POLITICAS.ADMIN:
+      return [verificarToken, autorizarRoles(ROLES.ADMIN)];
+    default:
+      throw new Error(`Política de acceso desconocida: ${tipo}`);
+  }
+}
+
+module.exports = {
+  SECRET_KEY,
+  ACCESS_TOKEN_TTL,
+  ROLES,
+  ROLES_VALIDOS,
+  normalizarRol,
+  firmarToken,
+  verificarToken,
+  autorizarRoles,
+  leerTokenOpcional,
+  autorizarPropietario,
+  POLITICAS,
+  politica,
+};
@@ -0,0 +1,65 @@
+// busqueda.js
+// Búsqueda de productos: texto completo en español sin tildes (unaccent + spanish_stem)
+// y tolerancia a errores de tipeo con trigramas (pg_trgm)
+
+// Vector de búsqueda del producto. Es la misma expresión del índice GIN: si cambia, cambiar ambos.
+const VECTOR_PRODUCTO = `(
+  setweight(to_tsvector('es_unaccent', COALESCE(codigo, '')), 'A') ||
+  setweight(to_tsvector('es_unaccent', COALESCE(nombre, '')), 'A') ||
+  setweight(to_tsvector('es_unaccent', COALESCE(descripcion, '')), 'B')
+)`;
+
+// Nombre normalizado (minúsculas, sin tildes) para la similitud por trigramas
+const NOMBRE_NORMALIZADO = "f_unaccent(LOWER(COALESCE(nombre, '')))";
+
+// Umbral de word_similarity para el operador <%. El 0.6 por defecto de pg_trgm deja fuera errores
+// de una letra en palabras cortas ("laptpo" vs "laptop" da 0.57).
+const UMBRAL_SIMILITUD = Number(process.env.BUSQUEDA_UMBRAL_SIMILITUD) || 0.45;
+
+// Tramos de precio de la faceta (precio vigente, en pesos). hasta es exclusivo; null = sin tope.
+const RANGOS_PRECIO = [
+  { desde: 0, hasta: 10000 },
+  { desde: 10000, hasta: 50000 },
+  { desde: 50000, hasta: 100000 },
+  { desde: 100000, hasta: 500000 },
+  { desde: 500000, hasta: null },
+];
+
+// Extensiones, configuración de texto e índices (idempotente). Requiere permiso para CREATE EXTENSION.
+async function asegurarBusqueda(pool) {
+  await pool.query(`CREATE EXTENSION IF NOT EXISTS unaccent;`);
+  await pool.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+
+  // unaccent() es STABLE; el envoltorio IMMUTABLE permite usarlo en índices
+  await pool.query(`
+    CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+    AS $$ SELECT public.unaccent('public.unaccent', $1) $$;
+  `);
+
+  await pool.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'es_unaccent') THEN
+        CREATE TEXT SEARCH CONFIGURATION es_unaccent (COPY = spanish);
+        ALTER TEXT SEARCH CONFIGURATION es_unaccent
+          ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+      END IF;
+    END
+    $$;
+  `);
+
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_producto_busqueda ON producto USING GIN (${VECTOR_PRODUCTO});`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_producto_nombre_trgm ON producto USING GIN (${NOMBRE_NORMALIZADO} gin_trgm_ops);`);
+}
+
+// El umbral es un parámetro de sesión: se fija en cada conexión nueva del pool
+function configurarSimilitud(pool) {
+  pool.on("connect", (client) => {
+    client.query(`SET pg_trgm.word_similarity_threshold = ${UMBRAL_SIMILITUD};`).catch((err) => {
+      console.error("No se pudo fijar el umbral de similitud:", err.message);
+    });
+  });
+}
+
+module.exports = { VECTOR_PRODUCTO, NOMBRE_NORMALIZADO, RANGOS_PRECIO, UMBRAL_SIMILITUD, asegurarBusqueda, configurarSimilitud };
@@ -0,0 +1,264 @@
+// catalogo_regiones.js
+// Catálogo de referencia de regiones y comunas de Chile (16 regiones, 346 comunas).
+// id de región = número oficial de la región; `orden` = norte a sur.
+// `alias` son otras grafías habituales que se aceptan y se llevan al nombre oficial.
+
+const REGIONES = [
+  {
+    id: 15, codigo: "XV", orden: 1, nombre: "Arica y Parinacota", alias: ["Arica"],
+    comunas: ["Arica", "Camarones", "Putre", "General Lagos"],
+  },
+  {
+    id: 1, codigo: "I", orden: 2, nombre: "Tarapacá", alias: [],
+    comunas: ["Iquique", "Alto Hospicio", "Pozo Almonte", "Camiña", "Colchane", "Huara", "Pica"],
+  },
+  {
+    id: 2, codigo: "II", orden: 3, nombre: "Antofagasta", alias: [],
+    comunas: [
+      "Antofagasta", "Mejillones", "Sierra Gorda", "Taltal", "Calama", "Ollagüe",
+      "San Pedro de Atacama", "Tocopilla", "María Elena",
+    ],
+  },
+  {
+    id: 3, codigo: "III", orden: 4, nombre: "Atacama", alias: [],
+    comunas: [
+      "Copiapó", "Caldera", "Tierra Amarilla", "Chañaral", "Diego de Almagro",
+      "Vallenar", "Alto del Carmen", "Freirina", "Huasco",
+    ],
+  },
+  {
+    id: 4, codigo: "IV", orden: 5, nombre: "Coquimbo", alias: [],
+    comunas: [
+      "La Serena", "Coquimbo", "Andacollo", "La Higuera", "Paiguano", "Vicuña",
+      "Illapel", "Canela", "Los Vilos", "Salamanca", "Ovalle", "Combarbalá",
+      "Monte Patria", "Punitaqui", "Río Hurtado",
+    ],
+  },
+  {
+    id: 5, codigo: "V", orden: 6, nombre: "Valparaíso", alias: [],
+    comunas: [
+      "Valparaíso", "Casablanca", "Concón", "Juan Fernández", "Puchuncaví", "Quintero",
+      "Viña del Mar", "Isla de Pascua", "Los Andes", "Calle Larga", "Rinconada",
+      "San Esteban", "La Ligua", "Cabildo", "Papudo", "Petorca", "Zapallar", "Quillota",
+      "Calera", "Hijuelas", "La Cruz", "Nogales", "San Antonio", "Algarrobo", "Cartagena",
+      "El Quisco", "El Tabo", "Santo Domingo", "San Felipe", "Catemu", "Llaillay",
+      "Panquehue", "Putaendo", "Santa María", "Quilpué", "Limache", "Olmué", "Villa Alemana",
+    ],
+  },
+  {
+    id: 13, codigo: "XIII", orden: 7, nombre: "Metropolitana de Santiago",
+    alias: ["Metropolitana", "Región Metropolitana", "RM", "Santiago"],
+    comunas: [
+      "Santiago", "Cerrillos", "Cerro Navia", "Conchalí", "El Bosque", "Estación Central",
+      "Huechuraba", "Independencia", "La Cisterna", "La Florida", "La Granja", "La Pintana",
+      "La Reina", "Las Condes", "Lo Barnechea", "Lo Espejo", "Lo Prado", "Macul", "Maipú",
+      "Ñuñoa", "Pedro Aguirre Cerda", "Peñalolén", "Providencia", "Pudahuel", "Quilicura",
+      "Quinta Normal", "Recoleta", "Renca", "San Joaquín", "San Miguel", "San Ramón",
+      "Vitacura", "Puente Alto", "Pirque", "San José de Maipo", "Colina", "Lampa", "Tiltil",
+      "San Bernardo", "Buin", "Calera de Tango", "Paine", "Melipilla", "Alhué", "Curacaví",
+      "María Pinto", "San Pedro", "Talagante", "El Monte", "Isla de Maipo", "Padre Hurtado",
+      "Peñaflor",
+    ],
+  },
+  {
+    id: 6, codigo: "VI", orden: 8, nombre: "Libertador General Bernardo O'Higgins",
+    alias: ["O'Higgins", "Libertador Bernardo O'Higgins"],
+    comunas: [
+      "Rancagua", "Codegua", "Coinco", "Coltauco", "Doñihue", "Graneros", "Las Cabras",
+      "Machalí", "Malloa", "Mostazal", "Olivar", "Peumo", "Pichidegua", "Quinta de Tilcoco",
+      "Rengo", "Requínoa", "San Vicente", "Pichilemu", "La Estrella", "Litueche",
+      "Marchihue", "Navidad", "Paredones", "San Fernando", "Chépica", "Chimbarongo",
+      "Lolol", "Nancagua", "Palmilla", "Peralillo", "Placilla", "Pumanque", "Santa Cruz",
+    ],
+  },
+  {
+    id: 7, codigo: "VII", orden: 9, nombre: "Maule", alias: [],
+    comunas: [
+      "Talca", "Constitución", "Curepto", "Empedrado", "Maule", "Pelarco", "Pencahue",
+      "Río Claro", "San Clemente", "San Rafael", "Cauquenes", "Chanco", "Pelluhue",
+      "Curicó", "Hualañé", "Licantén", "Molina", "Rauco", "Romeral", "Sagrada Familia",
+      "Teno", "Vichuquén", "Linares", "Colbún", "Longaví", "Parral", "Retiro",
+      "San Javier", "Villa Alegre", "Yerbas Buenas",
+    ],
+  },
+  {
+    id: 16, codigo: "XVI", orden: 10, nombre: "Ñuble", alias: [],
+    comunas: [
+      "Chillán", "Bulnes", "Chillán Viejo", "El Carmen", "Pemuco", "Pinto", "Quillón",
+      "San Ignacio", "Yungay", "Quirihue", "Cobquecura", "Coelemu", "Ninhue", "Portezuelo",
+      "Ránquil", "Treguaco", "San Carlos", "Coihueco", "Ñiquén", "San Fabián", "San Nicolás",
+    ],
+  },
+  {
+    id: 8, codigo: "VIII", orden: 11, nombre: "Biobío", alias: ["Bío Bío", "Bío-Bío"],
+    comunas: [
+      "Concepción", "Coronel", "Chiguayante", "Florida", "Hualqui", "Lota", "Penco",
+      "San Pedro de la Paz", "Santa Juana", "Talcahuano", "Tomé", "Hualpén", "Lebu",
+      "Arauco", "Cañete", "Contulmo", "Curanilahue", "Los Álamos", "Tirúa", "Los Ángeles",
+      "Antuco", "Cabrero", "Laja", "Mulchén", "Nacimiento", "Negrete", "Quilaco",
+      "Quilleco", "San Rosendo", "Santa Bárbara", "Tucapel", "Yumbel", "Alto Biobío",
+    ],
+  },
+  {
+    id: 9, codigo: "IX", orden: 12, nombre: "La Araucanía", alias: ["Araucanía"],
+    comunas: [
+      "Temuco", "Carahue", "Cunco", "Curarrehue", "Freire", "Galvarino", "Gorbea",
+      "Lautaro", "Loncoche", "Melipeuco", "Nueva Imperial", "Padre Las Casas", "Perquenco",
+      "Pitrufquén", "Pucón", "Saavedra", "Teodoro Schmidt", "Toltén", "Vilcún",
+      "Villarrica", "Cholchol", "Angol", "Collipulli", "Curacautín", "Ercilla",
+      "Lonquimay", "Los Sauces", "Lumaco", "Purén", "Renaico", "Traiguén", "Victoria",
+    ],
+  },
+  {
+    id: 14, codigo: "XIV", orden: 13, nombre: "Los Ríos", alias: [],
+    comunas: [
+      "Valdivia", "Corral", "Lanco", "Los Lagos", "Máfil", "Mariquina", "Paillaco",
+      "Panguipulli", "La Unión", "Futrono", "Lago Ranco", "Río Bueno",
+    ],
+  },
+  {
+    id: 10, codigo: "X", orden: 14, nombre: "Los Lagos", alias: [],
+    comunas: [
+      "Puerto Montt", "Calbuco", "Cochamó", "Fresia", "Frutillar", "Los Muermos",
+      "Llanquihue", "Maullín", "Puerto Varas", "Castro", "Ancud", "Chonchi",
+      "Curaco de Vélez", "Dalcahue", "Puqueldón", "Queilén", "Quellón", "Quemchi",
+      "Quinchao", "Osorno", "Puerto Octay", "Purranque", "Puyehue", "Río Negro",
+      "San Juan de la Costa", "San Pablo", "Chaitén", "Futaleufú", "Hualaihué", "Palena",
+    ],
+  },
+  {
+    id: 11, codigo: "XI", orden: 15, nombre: "Aysén del General Carlos Ibáñez del Campo",
+    alias: ["Aysén", "Aisén"],
+    comunas: [
+      "Coyhaique", "Lago Verde", "Aysén", "Cisnes", "Guaitecas", "Cochrane", "O'Higgins",
+      "Tortel", "Chile Chico", "Río Ibáñez",
+    ],
+  },
+  {
+    id: 12, codigo: "XII", orden: 16, nombre: "Magallanes y de la Antártica Chilena",
+    alias: ["Magallanes"],
+    comunas: [
+      "Punta Arenas", "Laguna Blanca", "Río Verde", "San Gregorio", "Cabo de Hornos",
+      "Antártica", "Porvenir", "Primavera", "Timaukel", "Natales", "Torres del Paine",
+    ],
+  },
+];
+
+// Otras grafías de comunas (clave normalizada -> nombre oficial)
+const ALIAS_COMUNAS = {
+  "la calera": "Calera",
+  "til til": "Tiltil",
+  "llay llay": "Llaillay",
+  "paihuano": "Paiguano",
+  "marchigue": "Marchihue",
+  "san vicente de tagua tagua": "San Vicente",
+  "coihaique": "Coyhaique",
+  "aisen": "Aysén",
+  "puerto aysen": "Aysén",
+  "puerto natales": "Natales",
+  "chol chol": "Cholchol",
+  "san jose de la mariquina": "Mariquina",
+};
+
+// Clave de comparación: sin tildes, minúsculas, sin apóstrofes/guiones, espacios simples
+function claveTexto(texto) {
+  return String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['´`’]/g, "")
+    .replace(/[-_.]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Quita el prefijo "Región de/del/de la" para comparar regiones
+function claveRegion(texto) {
+  return claveTexto(texto).replace(/^region( de la| del| de)? /, "");
+}
+
+// Índices en memoria (el catálogo es estático, los mismos datos que se siembran en BD)
+const regionesPorClave = new Map();
+const comunasPorRegion = new Map();
+for (const region of REGIONES) {
+  for (const nombre of [region.nombre, ...region.alias]) {
+    regionesPorClave.set(claveRegion(nombre), region);
+  }
+  regionesPorClave.set(String(region.id), region);
+  regionesPorClave.set(region.codigo.toLowerCase(), region);
+
+  const comunas = new Map();
+  for (const comuna of region.comunas) comunas.set(claveTexto(comuna), comuna);
+  comunasPorRegion.set(region.id, comunas);
+}
+
+// Busca una región por nombre, alias, número o código romano
+function buscarRegion(texto) {
+  if (texto === null || texto === undefined || texto === "") return null;
+  return regionesPorClave.get(claveRegion(texto)) || null;
+}
+
+// Valida un par región/comuna. Devuelve { region, comuna, errores } con los nombres oficiales.
+// Ambos campos son opcionales, pero una comuna sin región no se puede validar.
+function validarRegionComuna(regionTexto, comunaTexto) {
+  const errores = {};
+  const vacio = (v) => v === null || v === undefined || String(v).trim() === "";
+
+  if (vacio(regionTexto) && vacio(comunaTexto)) return { region: null, comuna: null, errores };
+
+  const region = buscarRegion(regionTexto);
+  if (vacio(regionTexto)) {
+    errores.region = "Región requerida cuando se indica comuna";
+  } else if (!region) {
+    errores.region = "Región no existe";
+  }
+  if (!region) return { region: null, comuna: null, errores };
+
+  if (vacio(comunaTexto)) return { region: region.nombre, comuna: null, errores };
+
+  const comunas = comunasPorRegion.get(region.id);
+  const clave = claveTexto(comunaTexto);
+  const comuna = comunas.get(clave) || comunas.get(claveTexto(ALIAS_COMUNAS[clave] || ""));
+  if (!comuna) {
+    errores.comuna = `La comuna no pertenece a la región ${region.nombre}`;
+    return { region: region.nombre, comuna: null, errores };
+  }
+
+  return { region: region.nombre, comuna, errores };
+}
+
+// Crea y siembra las tablas region/comuna (idempotente)
+async function asegurarCatalogo(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS region (
+      id INT PRIMARY KEY,
+      codigo VARCHAR(5) NOT NULL,
+      nombre VARCHAR(100) UNIQUE NOT NULL,
+      orden INT NOT NULL
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS comuna (
+      id SERIAL PRIMARY KEY,
+      region_id INT NOT NULL REFERENCES region(id),
+      nombre VARCHAR(100) NOT NULL,
+      UNIQUE (region_id, nombre)
+    );
+  `);
+
+  for (const region of REGIONES) {
+    await pool.query(
+      `INSERT INTO region (id, codigo, nombre, orden) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (id) DO UPDATE SET codigo = EXCLUDED.codigo, nombre = EXCLUDED.nombre, orden = EXCLUDED.orden;`,
+      [region.id, region.codigo, region.nombre, region.orden]
+    );
+    await pool.query(
+      `INSERT INTO comuna (region_id, nombre)
+       SELECT $1, unnest($2::text[])
+       ON CONFLICT (region_id, nombre) DO NOTHING;`,
+      [region.id, region.comunas]
+    );
+  }
+}
+
+module.exports = { REGIONES, claveTexto, buscarRegion, validarRegionComuna, asegurarCatalogo };
@@ -0,0 +1,206 @@
+// comprobante.js
+// Comprobante imprimible de una boleta en HTML y PDF (generado en el servidor, sin servicios externos)
+const PDFDocument = require("pdfkit");
+
+const formatoPesos = new Intl.NumberFormat("es-CL", {
+  style: "currency",
+  currency: "CLP",
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2,
+});
+
+function pesos(monto) {
+  return formatoPesos.format(Number(monto) || 0);
+}
+
+function fechaLocal(fecha) {
+  if (!fecha) return "";
+  return new Date(fecha).toLocaleString("es-CL", { timeZone: "America/Santiago" });
+}
+
+function escaparHtml(valor) {
+  return String(valor ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Datos del comprobante ya formateados, comunes a HTML y PDF.
+// `detalle` es la respuesta de GET /detalle/:numeroCompra.
+function armarComprobante(detalle) {
+  const emisor = detalle.emisor || {};
+  const comprador = detalle.comprador || {};
+  const tasa = detalle.tasa_iva ?? 0;
+
+  return {
+    titulo: detalle.folio ? `BOLETA ELECTRÓNICA N° ${detalle.folio}` : "BOLETA",
+    emisor: [
+      emisor.razon_social,
+      emisor.rut && `RUT: ${emisor.rut}`,
+      emisor.giro,
+      [emisor.direccion, emisor.comuna].filter(Boolean).join(", "),
+    ].filter(Boolean),
+    encabezado: [
+      ["N° de compra", detalle.numero_compra],
+      ["Fecha", fechaLocal(detalle.fecha)],
+      ["Estado", detalle.estado],
+    ].filter(([, valor]) => valor !== undefined && valor !== null && valor !== ""),
+    comprador: [
+      ["Nombre", comprador.nombre],
+      ["Correo", comprador.correo],
+      ["RUN", comprador.run],
+      ["Teléfono", comprador.telefono],
+      ["Dirección", [comprador.direccion, comprador.comuna, comprador.region].filter(Boolean).join(", ")],
+    ].filter(([, valor]) => valor),
+    lineas: (detalle.productos || []).map((p) => {
+      const cantidad = Number(p.cantidad) || 1;
+      const subtotal = p.subtotal !== undefined ? Number(p.subtotal) : (Number(p.precio) || 0) * cantidad;
+      return {
+        nombre: [p.codigo, p.nombre || `Producto ${p.id}`].filter(Boolean).join(" - "),
+        cantidad: String(cantidad),
+        precio: pesos(p.precio),
+        subtotal: pesos(subtotal),
+      };
+    }),
+    totales: [
+      ...(detalle.neto !== null && detalle.neto !== undefined
+        ? [["Neto", pesos(detalle.neto)], [`IVA (${Math.round(tasa * 10000) / 100}%)`, pesos(detalle.iva)]]
+        : []),
+      ["Total", pesos(detalle.total)],
+      ...(detalle.total_acreditado
+        ? [["Notas de crédito", `- ${pesos(detalle.total_acreditado)}`], ["Saldo", pesos(detalle.saldo)]]
+        : []),
+    ],
+    notas: (detalle.notas_credito || []).map(
+      (n) => `Nota de crédito N° ${n.numero} (${fechaLocal(n.fecha)}): ${pesos(n.total)}${n.motivo ? ` - ${n.motivo}` : ""}`
+    ),
+  };
+}
+
+// Comprobante como documento HTML autocontenido (estilos en línea, listo para imprimir)
+function renderizarHtml(detalle) {
+  const c = armarComprobante(detalle);
+  const filas = (pares) =>
+    pares.map(([etiqueta, valor]) => `<tr><th>${escaparHtml(etiqueta)}</th><td>${escaparHtml(valor)}</td></tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escaparHtml(c.titulo)} - Compra ${escaparHtml(detalle.numero_compra)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 18px; border: 2px solid #222; padding: 8px; text-align: center; }
+  h2 { font-size: 14px; margin-top: 24px; border-bottom: 1px solid #ccc; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 4px 6px; text-align: left; }
+  .items th { background: #f0f0f0; }
+  .items td.num, .items th.num, .totales td { text-align: right; }
+  .totales { width: 50%; margin-left: auto; margin-top: 12px; }
+  .totales tr:last-child th, .totales tr:last-child td { font-weight: bold; border-top: 1px solid #222; }
+  .emisor p { margin: 2px 0; font-size: 13px; }
+  .notas { font-size: 12px; color: #555; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="emisor">${c.emisor.map((l) => `<p>${escaparHtml(l)}</p>`).join("")}</div>
+<h1>${escaparHtml(c.titulo)}</h1>
+<table>${filas(c.encabezado)}</table>
+<h2>Comprador</h2>
+<table>${filas(c.comprador)}</table>
+<h2>Detalle</h2>
+<table class="items">
+<thead><tr><th>Producto</th><th class="num">Cantidad</th><th class="num">Precio</th><th class="num">Subtotal</th></tr></thead>
+<tbody>${c.lineas
+    .map(
+      (l) =>
+        `<tr><td>${escaparHtml(l.nombre)}</td><td class="num">${escaparHtml(l.cantidad)}</td><td class="num">${escaparHtml(l.precio)}</td><td class="num">${escaparHtml(l.subtotal)}</td></tr>`
+    )
+    .join("")}</tbody>
+</table>
+<table class="totales">${filas(c.totales)}</table>
+${c.notas.length ? `<div class="notas"><h2>Notas de crédito</h2>${c.notas.map((n) => `<p>${escaparHtml(n)}</p>`).join("")}</div>` : ""}
+</body>
+</html>`;
+}
+
+// Escribe el comprobante en PDF sobre `destino` (p. ej. la respuesta HTTP) y lo cierra
+function renderizarPdf(detalle, destino) {
+  const c = armarComprobante(detalle);
+  const doc = new PDFDocument({ size: "LETTER", margin: 50, info: { Title: `${c.titulo} - Compra ${detalle.numero_compra}` } });
+  doc.pipe(destino);
+
+  const izquierda = doc.page.margins.left;
+  const ancho = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const limite = () => doc.page.height - doc.page.margins.bottom - 40;
+
+  c.emisor.forEach((linea) => doc.font("Helvetica").fontSize(10).text(linea));
+  doc.moveDown();
+  const yTitulo = doc.y;
+  doc.font("Helvetica-Bold").fontSize(14).text(c.titulo, izquierda, yTitulo + 8, { width: ancho, align: "center" });
+  doc.rect(izquierda, yTitulo, ancho, doc.y - yTitulo + 6).stroke();
+  doc.moveDown();
+
+  const pares = (lista) =>
+    lista.forEach(([etiqueta, valor]) => {
+      doc.font("Helvetica-Bold").fontSize(10).text(`${etiqueta}: `, izquierda, doc.y, { continued: true });
+      doc.font("Helvetica").text(String(valor));
+    });
+
+  pares(c.encabezado);
+  doc.moveDown();
+  doc.font("Helvetica-Bold").fontSize(12).text("Comprador", izquierda);
+  pares(c.comprador);
+  doc.moveDown();
+
+  // Tabla de productos: nombre | cantidad | precio | subtotal
+  const columnas = [
+    { clave: "nombre", titulo: "Producto", ancho: ancho * 0.46, align: "left" },
+    { clave: "cantidad", titulo: "Cantidad", ancho: ancho * 0.14, align: "right" },
+    { clave: "precio", titulo: "Precio", ancho: ancho * 0.2, align: "right" },
+    { clave: "subtotal", titulo: "Subtotal", ancho: ancho * 0.2, align: "right" },
+  ];
+  const fila = (valores, negrita) => {
+    if (doc.y > limite()) doc.addPage();
+    const y = doc.y;
+    let x = izquierda;
+    let alto = 0;
+    doc.font(negrita ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    for (const col of columnas) {
+      doc.text(valores[col.clave], x, y, { width: col.ancho - 6, align: col.align });
+      alto = Math.max(alto, doc.y - y);
+      x += col.ancho;
+    }
+    doc.y = y + alto + 4;
+  };
+
+  fila(Object.fromEntries(columnas.map((col) => [col.clave, col.titulo])), true);
+  doc.moveTo(izquierda, doc.y - 2).lineTo(izquierda + ancho, doc.y - 2).stroke();
+  c.lineas.forEach((l) => fila(l, false));
+  doc.moveTo(izquierda, doc.y).lineTo(izquierda + ancho, doc.y).stroke();
+  doc.moveDown();
+
+  const xTotales = izquierda + ancho * 0.5;
+  c.totales.forEach(([etiqueta, valor]) => {
+    if (doc.y > limite()) doc.addPage();
+    const y = doc.y;
+    const negrita = etiqueta === "Total";
+    doc.font(negrita ? "Helvetica-Bold" : "Helvetica").fontSize(negrita ? 12 : 10);
+    doc.text(etiqueta, xTotales, y, { width: ancho * 0.25 });
+    doc.text(valor, xTotales + ancho * 0.25, y, { width: ancho * 0.25, align: "right" });
+  });
+
+  if (c.notas.length) {
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text("Notas de crédito", izquierda);
+    c.notas.forEach((n) => doc.font("Helvetica").fontSize(9).text(n, izquierda, doc.y, { width: ancho }));
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = { armarComprobante, renderizarHtml, renderizarPdf };
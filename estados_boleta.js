@@ -0,0 +1,71 @@
+// estados_boleta.js
+// Ciclo de vida de una boleta (compartido por Boletas y DetalleBoleta)
+
+const ESTADOS = {
+  PENDIENTE: "pendiente",
+  PAGADA: "pagada",
+  PREPARANDO: "preparando",
+  DESPACHADA: "despachada",
+  ENTREGADA: "entregada",
+  ANULADA: "anulada",
+};
+const ESTADOS_VALIDOS = Object.values(ESTADOS);
+
+// Movimientos permitidos desde cada estado
+const TRANSICIONES = {
+  [ESTADOS.PENDIENTE]: [ESTADOS.PAGADA, ESTADOS.ANULADA],
+  [ESTADOS.PAGADA]: [ESTADOS.PREPARANDO, ESTADOS.ANULADA],
+  [ESTADOS.PREPARANDO]: [ESTADOS.DESPACHADA, ESTADOS.ANULADA],
+  [ESTADOS.DESPACHADA]: [ESTADOS.ENTREGADA],
+  [ESTADOS.ENTREGADA]: [],
+  [ESTADOS.ANULADA]: [],
+};
+
+function puedeTransicionar(desde, hacia) {
+  return (TRANSICIONES[desde] || []).includes(hacia);
+}
+
+// Convierte "pagada,preparando" en ["pagada", "preparando"].
+// Devuelve null si no viene filtro y lanza un error con status 400 si hay un estado desconocido.
+function parsearFiltroEstado(valor) {
+  if (valor === undefined || valor === null || valor === "") return null;
+  const estados = String(valor).split(",").map((e) => e.trim().toLowerCase()).filter(Boolean);
+  const invalidos = estados.filter((e) => !ESTADOS_VALIDOS.includes(e));
+  if (invalidos.length > 0) {
+    const err = new Error(`Estado inválido: ${invalidos.join(", ")} (${ESTADOS_VALIDOS.join(", ")})`);
+    err.status = 400;
+    throw err;
+  }
+  return estados;
+}
+
+// Columna estado + historial de cambios (idempotente).
+// Las boletas anteriores a esta columna eran compras ya cerradas: quedan como pagadas.
+async function asegurarEstados(pool) {
+  await pool.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS estado VARCHAR(20);`);
+  await pool.query(`UPDATE boleta SET estado = '${ESTADOS.PAGADA}' WHERE estado IS NULL;`);
+  await pool.query(`ALTER TABLE boleta ALTER COLUMN estado SET DEFAULT '${ESTADOS.PENDIENTE}';`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_boleta_estado ON boleta (estado);`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS boleta_estado (
+      id SERIAL PRIMARY KEY,
+      boleta_id INT NOT NULL REFERENCES boleta(id) ON DELETE CASCADE,
+      estado_anterior VARCHAR(20),
+      estado VARCHAR(20) NOT NULL,
+      fecha TIMESTAMP DEFAULT NOW(),
+      usuario_id INT,
+      comentario TEXT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_boleta_estado_boleta ON boleta_estado (boleta_id);`);
+}
+
+module.exports = {
+  ESTADOS,
+  ESTADOS_VALIDOS,
+  TRANSICIONES,
+  puedeTransicionar,
+  parsearFiltroEstado,
+  asegurarEstados,
+};
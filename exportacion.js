@@ -0,0 +1,112 @@
+// exportacion.js
+// Exportación a CSV y XLSX fila a fila, sin cargar la consulta completa en memoria
+// (compartido por Boletas y Productos)
+const QueryStream = require("pg-query-stream");
+const ExcelJS = require("exceljs");
+
+const FORMATOS = {
+  csv: { tipo: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { tipo: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+};
+
+function errorValidacion(mensaje) {
+  return Object.assign(new Error(mensaje), { status: 400 });
+}
+
+// ?formato=csv|xlsx (csv por defecto). Lanza un error con status 400 si no se reconoce.
+function parsearFormato(valor) {
+  const formato = String(valor || "csv").toLowerCase();
+  if (!FORMATOS[formato]) throw errorValidacion(`formato debe ser ${Object.keys(FORMATOS).join(" o ")}`);
+  return formato;
+}
+
+// Recorre el resultado de una consulta con un cursor (lotes de 200 filas).
+// Toma su propia conexión del pool y la libera al terminar o si se corta la iteración.
+async function* recorrerConsulta(pool, sql, params = []) {
+  const client = await pool.connect();
+  try {
+    const stream = client.query(new QueryStream(sql, params, { batchSize: 200 }));
+    try {
+      for await (const row of stream) yield row;
+    } finally {
+      stream.destroy();
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Evita que Excel interprete como fórmula un texto que empieza con = + - @
+function celdaSegura(valor) {
+  if (typeof valor === "string" && /^[=+\-@\t\r]/.test(valor)) return `'${valor}`;
+  return valor;
+}
+
+function celdaCsv(valor, separador) {
+  if (valor === null || valor === undefined) return "";
+  const texto = valor instanceof Date ? valor.toISOString() : String(celdaSegura(valor));
+  return texto.includes(separador) || /["\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// Espera a que la respuesta vacíe su buffer. Falla si el cliente corta la descarga,
+// así la iteración se detiene y la conexión a la BD se libera.
+function esperarDrain(destino) {
+  if (destino.destroyed) return Promise.reject(new Error("Descarga cancelada por el cliente"));
+  return new Promise((resolve, reject) => {
+    const listo = () => {
+      destino.off("close", cerrado);
+      resolve();
+    };
+    const cerrado = () => {
+      destino.off("drain", listo);
+      reject(new Error("Descarga cancelada por el cliente"));
+    };
+    destino.once("drain", listo);
+    destino.once("close", cerrado);
+  });
+}
+
+// Escribe respetando la contrapresión de la respuesta
+async function escribir(destino, texto) {
+  if (destino.destroyed) throw new Error("Descarga cancelada por el cliente");
+  if (!destino.write(texto)) await esperarDrain(destino);
+}
+
+// Envía `filas` (iterable asíncrono de objetos) como archivo descargable.
+// columnas: [{ clave, titulo, valor?(fila), numero? }]. `valor` permite aplanar campos anidados;
+// con `numero` el valor se convierte a Number (pg entrega NUMERIC como string).
+async function exportar(res, { formato, nombre, hoja, columnas, filas, separador = "," }) {
+  const { tipo, extension } = FORMATOS[formato];
+  res.setHeader("Content-Type", tipo);
+  res.setHeader("Content-Disposition", `attachment; filename="${nombre}.${extension}"`);
+  const valores = (fila) =>
+    columnas.map((c) => {
+      const valor = c.valor ? c.valor(fila) : fila[c.clave];
+      return c.numero && valor !== null && valor !== undefined && valor !== "" ? Number(valor) : valor;
+    });
+
+  if (formato === "csv") {
+    // BOM para que Excel abra el CSV como UTF-8
+    await escribir(res, "\uFEFF" + columnas.map((c) => celdaCsv(c.titulo, separador)).join(separador) + "\r\n");
+    for await (const fila of filas) {
+      await escribir(res, valores(fila).map((v) => celdaCsv(v, separador)).join(separador) + "\r\n");
+    }
+    res.end();
+    return;
+  }
+
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  const hojaXlsx = libro.addWorksheet(hoja || nombre);
+  hojaXlsx.columns = columnas.map((c) => ({ header: c.titulo, key: c.clave, width: c.ancho || 16 }));
+  hojaXlsx.getRow(1).font = { bold: true };
+  hojaXlsx.getRow(1).commit();
+  for await (const fila of filas) {
+    hojaXlsx.addRow(valores(fila).map((v) => celdaSegura(v ?? null))).commit();
+    // El zip de exceljs va por pipe a la respuesta: si ésta se llena, se espera antes de seguir leyendo
+    if (res.writableNeedDrain) await esperarDrain(res);
+  }
+  hojaXlsx.commit();
+  await libro.commit();
+}
+
+module.exports = { FORMATOS, parsearFormato, recorrerConsulta, exportar };
@@ -0,0 +1,15 @@
+// fechas.js
+// Fechas recibidas por query string (compartido por listados, exportaciones y reportes)
+
+// Fecha YYYY-MM-DD opcional. Devuelve null si no viene y lanza un error con status 400 si es inválida.
+function parsearFecha(valor, nombre) {
+  if (valor === undefined || valor === null || valor === "") return null;
+  const texto = String(valor).trim();
+  const fecha = new Date(`${texto}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(texto) || Number.isNaN(fecha.getTime()) || fecha.toISOString().slice(0, 10) !== texto) {
+    throw Object.assign(new Error(`${nombre} debe tener formato YYYY-MM-DD`), { status: 400 });
+  }
+  return texto;
+}
+
+module.exports = { parsearFecha };
@@ -0,0 +1,203 @@
+// galeria_producto.js
+// Galería de imágenes por producto (tabla producto_imagen).
+// producto.imagen_url / imagen_variantes reflejan siempre la imagen principal, por compatibilidad.
+//
+// Las funciones que modifican la galería esperan que quien llama tenga bloqueada la fila del
+// producto (SELECT ... FOR UPDATE dentro de la transacción), así dos cambios no se pisan el orden.
+
+const GALERIA_MAX_IMAGENES = Number(process.env.GALERIA_MAX_IMAGENES) || 20;
+
+function errorGaleria(mensaje) {
+  return Object.assign(new Error(mensaje), { status: 400 });
+}
+
+// Tabla producto_imagen + migración de la imagen única de cada producto (idempotente)
+async function asegurarGaleria(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS producto_imagen (
+      id SERIAL PRIMARY KEY,
+      producto_id INT NOT NULL REFERENCES producto(id) ON DELETE CASCADE,
+      orden INT NOT NULL,
+      principal BOOLEAN NOT NULL DEFAULT FALSE,
+      url TEXT NOT NULL,
+      variantes JSONB,
+      creado_en TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_producto_imagen_producto ON producto_imagen (producto_id, orden);`);
+  // Una sola imagen principal por producto
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS producto_imagen_principal ON producto_imagen (producto_id) WHERE principal;`);
+
+  await pool.query(`
+    INSERT INTO producto_imagen (producto_id, orden, principal, url, variantes)
+    SELECT p.id, 1, TRUE, p.imagen_url, p.imagen_variantes
+    FROM producto p
+    WHERE p.imagen_url IS NOT NULL AND p.imagen_url <> ''
+      AND NOT EXISTS (SELECT 1 FROM producto_imagen i WHERE i.producto_id = p.id);
+  `);
+}
+
+function normalizarImagen(row) {
+  return {
+    id: row.id,
+    orden: row.orden,
+    principal: row.principal,
+    url: row.url,
+    variantes: row.variantes,
+  };
+}
+
+// Galerías de varios productos, agrupadas por producto_id y en orden
+async function galeriaPorProducto(db, productoIds) {
+  const porProducto = new Map();
+  if (productoIds.length === 0) return porProducto;
+
+  const result = await db.query(
+    "SELECT * FROM producto_imagen WHERE producto_id = ANY($1::int[]) ORDER BY producto_id, orden, id",
+    [productoIds]
+  );
+  for (const row of result.rows) {
+    if (!porProducto.has(row.producto_id)) porProducto.set(row.producto_id, []);
+    porProducto.get(row.producto_id).push(normalizarImagen(row));
+  }
+  return porProducto;
+}
+
+async function galeriaDe(db, productoId) {
+  return (await galeriaPorProducto(db, [Number(productoId)])).get(Number(productoId)) || [];
+}
+
+// Copia la imagen principal a producto.imagen_url / imagen_variantes (NULL si la galería queda vacía)
+async function sincronizarPrincipal(db, productoId) {
+  await db.query(
+    `UPDATE producto SET (imagen_url, imagen_variantes) = (
+       SELECT url, variantes FROM producto_imagen WHERE producto_id = $1 AND principal
+     ) WHERE id = $1;`,
+    [productoId]
+  );
+}
+
+// Agrega imágenes ([{ url, variantes }]) al final de la galería. Si no hay principal, la primera pasa a serlo.
+// Lanza un error con status 400 si se supera GALERIA_MAX_IMAGENES.
+async function agregarImagenes(db, productoId, imagenes) {
+  const estado = await db.query(
+    `SELECT COUNT(*)::int AS cantidad, COALESCE(MAX(orden), 0) AS orden, COALESCE(BOOL_OR(principal), FALSE) AS hay_principal
+     FROM producto_imagen WHERE producto_id = $1`,
+    [productoId]
+  );
+  const { cantidad, orden, hay_principal: hayPrincipal } = estado.rows[0];
+  if (cantidad + imagenes.length > GALERIA_MAX_IMAGENES) {
+    throw errorGaleria(`Máximo ${GALERIA_MAX_IMAGENES} imágenes por producto (ya tiene ${cantidad})`);
+  }
+
+  const agregadas = [];
+  for (const [i, imagen] of imagenes.entries()) {
+    const result = await db.query(
+      `INSERT INTO producto_imagen (producto_id, orden, principal, url, variantes)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *;`,
+      [productoId, orden + i + 1, !hayPrincipal && i === 0, imagen.url, imagen.variantes ? JSON.stringify(imagen.variantes) : null]
+    );
+    agregadas.push(normalizarImagen(result.rows[0]));
+  }
+  if (!hayPrincipal && agregadas.length > 0) await sincronizarPrincipal(db, productoId);
+  return agregadas;
+}
+
+// Deja la primera imagen (según orden) como principal si ninguna lo es, renumera el orden desde 1 y sincroniza
+async function normalizarGaleria(db, productoId) {
+  await db.query(
+    `UPDATE producto_imagen SET principal = TRUE
+     WHERE id = (SELECT id FROM producto_imagen WHERE producto_id = $1 ORDER BY orden, id LIMIT 1)
+       AND NOT EXISTS (SELECT 1 FROM producto_imagen WHERE producto_id = $1 AND principal);`,
+    [productoId]
+  );
+  await db.query(
+    `UPDATE producto_imagen i SET orden = n.pos
+     FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY orden, id) AS pos FROM producto_imagen WHERE producto_id = $1) n
+     WHERE i.id = n.id AND i.orden <> n.pos;`,
+    [productoId]
+  );
+  await sincronizarPrincipal(db, productoId);
+}
+
+// Quita una imagen de la galería. Devuelve la fila borrada (para limpiar sus archivos) o null si no existe.
+async function quitarImagen(db, productoId, imagenId) {
+  const result = await db.query("DELETE FROM producto_imagen WHERE id = $1 AND producto_id = $2 RETURNING *;", [imagenId, productoId]);
+  if (result.rows.length === 0) return null;
+  await normalizarGaleria(db, productoId);
+  return normalizarImagen(result.rows[0]);
+}
+
+// Reemplaza la imagen principal (PUT /productos/:id o importación CSV). Con url null la quita.
+// Devuelve la imagen anterior (para limpiar sus archivos) o null si no había.
+async function reemplazarPrincipal(db, productoId, url, variantes) {
+  const actual = await db.query("SELECT * FROM producto_imagen WHERE producto_id = $1 AND principal", [productoId]);
+  const anterior = actual.rows.length > 0 ? normalizarImagen(actual.rows[0]) : null;
+
+  if (url === null) {
+    if (anterior) await quitarImagen(db, productoId, anterior.id);
+    return anterior;
+  }
+  if (anterior) {
+    await db.query("UPDATE producto_imagen SET url = $1, variantes = $2 WHERE id = $3;", [
+      url,
+      variantes ? JSON.stringify(variantes) : null,
+      anterior.id,
+    ]);
+    await sincronizarPrincipal(db, productoId);
+  } else {
+    await agregarImagenes(db, productoId, [{ url, variantes }]);
+  }
+  return anterior;
+}
+
+// Marca una imagen como principal. Devuelve false si no pertenece al producto.
+async function marcarPrincipal(db, productoId, imagenId) {
+  const existe = await db.query("SELECT 1 FROM producto_imagen WHERE id = $1 AND producto_id = $2", [imagenId, productoId]);
+  if (existe.rows.length === 0) return false;
+
+  // Primero se desmarca la actual: el índice único no admite dos principales a la vez
+  await db.query("UPDATE producto_imagen SET principal = FALSE WHERE producto_id = $1 AND principal AND id <> $2;", [productoId, imagenId]);
+  await db.query("UPDATE producto_imagen SET principal = TRUE WHERE id = $1;", [imagenId]);
+  await sincronizarPrincipal(db, productoId);
+  return true;
+}
+
+// Nuevo orden de la galería: `ids` debe traer exactamente las imágenes del producto, una vez cada una.
+// Lanza un error con status 400 si no.
+async function reordenarGaleria(db, productoId, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) throw errorGaleria("ids debe ser un arreglo con los id de las imágenes");
+  const numeros = ids.map(Number);
+  if (numeros.some((n) => !Number.isInteger(n))) throw errorGaleria("ids debe contener solo enteros");
+  if (new Set(numeros).size !== numeros.length) throw errorGaleria("ids no puede repetir imágenes");
+
+  const actuales = (await db.query("SELECT id FROM producto_imagen WHERE producto_id = $1", [productoId])).rows.map((r) => r.id);
+  const faltantes = actuales.filter((id) => !numeros.includes(id));
+  const ajenas = numeros.filter((id) => !actuales.includes(id));
+  if (faltantes.length > 0 || ajenas.length > 0) {
+    throw errorGaleria(
+      [faltantes.length && `faltan: ${faltantes.join(", ")}`, ajenas.length && `no pertenecen al producto: ${ajenas.join(", ")}`]
+        .filter(Boolean)
+        .join("; ")
+    );
+  }
+
+  await db.query(
+    `UPDATE producto_imagen i SET orden = o.pos
+     FROM unnest($2::int[]) WITH ORDINALITY AS o(id, pos)
+     WHERE i.id = o.id AND i.producto_id = $1;`,
+    [productoId, numeros]
+  );
+}
+
+module.exports = {
+  GALERIA_MAX_IMAGENES,
+  asegurarGaleria,
+  galeriaPorProducto,
+  galeriaDe,
+  agregarImagenes,
+  quitarImagen,
+  reemplazarPrincipal,
+  marcarPrincipal,
+  reordenarGaleria,
+};
@@ -0,0 +1,127 @@
+// imagenes.js
+// Procesamiento de imágenes subidas: validación por MIME y bytes mágicos, variantes WebP/JPEG
+// sin metadatos (EXIF) y borrado de archivos que quedan huérfanos.
+// Los archivos se guardan con el driver de almacenamiento.js (disco local o S3).
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { almacenamiento } = require("./almacenamiento");
+
+const IMAGEN_MAX_BYTES = Number(process.env.IMAGEN_MAX_BYTES) || 5 * 1024 * 1024;
+// Tope de píxeles al decodificar (evita imágenes "bomba" de pocos bytes y dimensiones enormes)
+const IMAGEN_MAX_PIXELES = Number(process.env.IMAGEN_MAX_PIXELES) || 40 * 1000 * 1000;
+
+// Formatos aceptados: MIME declarado y firma al inicio del archivo
+const FORMATOS_IMAGEN = {
+  jpeg: { mime: ["image/jpeg", "image/jpg", "image/pjpeg"], firma: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  png: {
+    mime: ["image/png"],
+    firma: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  webp: {
+    mime: ["image/webp"],
+    firma: (b) => b.length > 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP",
+  },
+};
+const MIME_IMAGEN = Object.values(FORMATOS_IMAGEN).flatMap((f) => f.mime);
+
+// Tamaños generados. Cada variante se guarda en WebP y en JPEG.
+const VARIANTES = {
+  miniatura: { ancho: 200, alto: 200, ajuste: "cover" },
+  mediana: { ancho: 600, alto: 600, ajuste: "inside" },
+  grande: { ancho: 1200, alto: 1200, ajuste: "inside" },
+};
+
+function errorImagen(mensaje) {
+  return Object.assign(new Error(mensaje), { status: 400 });
+}
+
+// Formato según los primeros bytes (null si no es uno de los aceptados)
+function detectarFormato(buffer) {
+  return Object.keys(FORMATOS_IMAGEN).find((formato) => FORMATOS_IMAGEN[formato].firma(buffer)) || null;
+}
+
+// Para multer: descarta antes de leer el archivo si el MIME declarado no es de imagen
+function filtroMime(req, file, cb) {
+  const valido = MIME_IMAGEN.includes(String(file.mimetype).toLowerCase());
+  cb(valido ? null : errorImagen(`Formato no permitido (${Object.keys(FORMATOS_IMAGEN).join(", ")})`), valido);
+}
+
+// Valida el archivo subido (multer en memoria) y guarda sus variantes en el almacenamiento configurado.
+// Devuelve { miniatura: { ancho, alto, webp, jpeg }, mediana: {...}, grande: {...} } con las URLs públicas.
+// Lanza errores con status 400 si el archivo no es una imagen válida.
+async function procesarImagen(archivo) {
+  const formato = detectarFormato(archivo.buffer);
+  if (!formato) throw errorImagen("El archivo no es una imagen JPEG, PNG o WebP");
+  if (!FORMATOS_IMAGEN[formato].mime.includes(String(archivo.mimetype).toLowerCase())) {
+    throw errorImagen(`El contenido (${formato}) no coincide con el tipo declarado (${archivo.mimetype})`);
+  }
+  if (archivo.buffer.length > IMAGEN_MAX_BYTES) throw errorImagen(`La imagen supera ${IMAGEN_MAX_BYTES} bytes`);
+
+  try {
+    await sharp(archivo.buffer, { limitInputPixels: IMAGEN_MAX_PIXELES }).metadata();
+  } catch (err) {
+    throw errorImagen(`Imagen ilegible: ${err.message}`);
+  }
+
+  const base = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const variantes = {};
+  const creados = [];
+
+  try {
+    for (const [nombre, v] of Object.entries(VARIANTES)) {
+      // rotate() aplica la orientación EXIF; sharp no copia metadatos a la salida salvo que se pida
+      const redimensionada = sharp(archivo.buffer, { limitInputPixels: IMAGEN_MAX_PIXELES })
+        .rotate()
+        .resize({ width: v.ancho, height: v.alto, fit: v.ajuste, withoutEnlargement: true });
+
+      const webp = await redimensionada.clone().webp({ quality: 80 }).toBuffer({ resolveWithObject: true });
+      const jpeg = await redimensionada.clone().flatten({ background: "#ffffff" }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+
+      const urlWebp = await almacenamiento.guardar(`${base}-${nombre}.webp`, webp.data, "image/webp");
+      creados.push(`${base}-${nombre}.webp`);
+      const urlJpeg = await almacenamiento.guardar(`${base}-${nombre}.jpg`, jpeg, "image/jpeg");
+      creados.push(`${base}-${nombre}.jpg`);
+
+      variantes[nombre] = { ancho: webp.info.width, alto: webp.info.height, webp: urlWebp, jpeg: urlJpeg };
+    }
+  } catch (err) {
+    await Promise.all(creados.map((archivo) => almacenamiento.eliminar(archivo).catch(() => {})));
+    throw err;
+  }
+
+  return variantes;
+}
+
+// URLs de una imagen que pertenecen al almacenamiento configurado: sus variantes y, en imágenes
+// antiguas, el archivo original. Las URLs externas (u otro almacenamiento) quedan fuera.
+function urlsAlmacenadas(imagenUrl, variantes) {
+  const urls = new Set();
+  for (const v of Object.values(variantes || {})) {
+    if (v && v.webp) urls.add(v.webp);
+    if (v && v.jpeg) urls.add(v.jpeg);
+  }
+  if (imagenUrl) urls.add(imagenUrl);
+  return [...urls].filter((url) => almacenamiento.nombreDesdeUrl(url) !== null);
+}
+
+// Borra los archivos de una imagen. Nunca falla: un archivo que ya no está no es un error.
+async function eliminarImagen(imagenUrl, variantes) {
+  await Promise.all(
+    urlsAlmacenadas(imagenUrl, variantes).map((url) =>
+      almacenamiento.eliminar(almacenamiento.nombreDesdeUrl(url)).catch((err) => {
+        console.error(`No se pudo borrar ${url}:`, err.message);
+      })
+    )
+  );
+}
+
+module.exports = {
+  IMAGEN_MAX_BYTES,
+  FORMATOS_IMAGEN,
+  VARIANTES,
+  detectarFormato,
+  filtroMime,
+  procesarImagen,
+  urlsAlmacenadas,
+  eliminarImagen,
+};
@@ -2,6 +2,16 @@
 const express = require("express");
 const cors = require("cors");
 const pool = require("./db");
+const { ROLES, POLITICAS, politica } = require("./auth");
+const { validarRegionComuna } = require("./catalogo_regiones");
+const { ESTADOS, ESTADOS_VALIDOS, TRANSICIONES, puedeTransicionar, parsearFiltroEstado, asegurarEstados } = require("./estados_boleta");
+const { asegurarNotasCredito, normalizarNota, notasPorBoleta, cantidadesAcreditadas } = require("./notas_credito");
+const { TASA_IVA, emisorActual, desglosarIva, normalizarMontos, siguienteFolio, asegurarTributario } = require("./tributario");
+const { asegurarLineas, insertarLineas } = require("./lineas_boleta");
+const { redondear } = require("./montos");
+const { parsearFormato, recorrerConsulta, exportar } = require("./exportacion");
+const { parsearFecha } = require("./fechas");
+const { listar, LISTADO_BOLETAS, PARAMETROS_SWAGGER, PARAMETROS_BOLETAS_SWAGGER, ESQUEMA_PAGINA_SWAGGER } = require("./listados");
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 require("dotenv").config();
@@ -27,7 +37,14 @@ const swaggerOptions = {
         url: 'http://18.212.75.254:4006',
         description: 'Servidor AWS'
       }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      parameters: { ...PARAMETROS_SWAGGER, ...PARAMETROS_BOLETAS_SWAGGER },
+      schemas: { Pagina: ESQUEMA_PAGINA_SWAGGER }
+    }
   },
   apis: ['./index_boletas.js']
 };
@@ -57,18 +74,246 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
       );
     `);
 
+    // Marca las boletas que descontaron stock (las antiguas no lo hicieron y no deben devolverlo)
+    await pool.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS stock_reservado BOOLEAN DEFAULT FALSE;`);
+    await asegurarEstados(pool);
+    await asegurarNotasCredito(pool);
+    await asegurarTributario(pool);
+    await asegurarLineas(pool);
+
     console.log("Tabla 'boleta' verificada/creada con numero_compra SERIAL.");
   } catch (err) {
     console.error("Error creando/verificando tabla boleta:", err.stack || err);
   }
 })();
 
+// Dueño (user_id) de la boleta indicada en :numero, undefined si no existe
+async function propietarioBoleta(req) {
+  const num = Number(req.params.numero);
+  const result = await pool.query(
+    "SELECT user_id FROM boleta WHERE numero_compra=$1",
+    [Number.isNaN(num) ? req.params.numero : num]
+  );
+  return result.rows.length ? result.rows[0].user_id : undefined;
+}
+
+// Arma el comprador a partir de una dirección guardada del usuario.
+// Devuelve null si la dirección no existe o no es del usuario.
+// Los campos de `despacho` siempre mandan sobre lo que venga en el body.
+async function compradorDesdeDireccion(userId, direccionId) {
+  const result = await pool.query(
+    `SELECT d.*, u.nombre AS u_nombre, u.apellidos AS u_apellidos, u.correo AS u_correo
+     FROM usuario_direccion d JOIN usuario u ON u.id = d.usuario_id
+     WHERE d.id = $1 AND d.usuario_id = $2`,
+    [direccionId, userId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const d = result.rows[0];
+  return {
+    nombre: [d.u_nombre, d.u_apellidos].filter(Boolean).join(" ") || null,
+    correo: d.u_correo,
+    despacho: {
+      direccion_id: d.id,
+      direccion: d.direccion,
+      region: d.region,
+      comuna: d.comuna,
+      departamento: d.departamento,
+      indicacion: d.indicacion,
+    },
+  };
+}
+
+// Tope de las columnas INT de Postgres: un id o una cantidad mayor no se puede consultar ni guardar
+const INT_MAXIMO = 2147483647;
+
+// Recalcula las líneas de la boleta con los precios de la tabla producto.
+// Aplica precio_oferta cuando en_oferta es true. db puede ser el pool o un client en transacción.
+// Con bloquear=true toma las filas con FOR UPDATE (en orden de id para evitar deadlocks).
+// Devuelve { lineas, total, errores, stockPorId } con un error por ítem inválido.
+async function calcularLineas(db, productos, { bloquear = false } = {}) {
+  const errores = [];
+  const pedidos = productos.map((item, indice) => {
+    const productoId = Number(item && (item.id ?? item.producto_id));
+    const cantidad = item && item.cantidad !== undefined ? Number(item.cantidad) : 1;
+    if (!Number.isInteger(productoId) || productoId <= 0 || productoId > INT_MAXIMO) {
+      errores.push({ indice, producto_id: item && (item.id ?? item.producto_id), error: "id de producto inválido" });
+    } else if (!Number.isInteger(cantidad) || cantidad <= 0 || cantidad > INT_MAXIMO) {
+      errores.push({ indice, producto_id: productoId, error: "cantidad debe ser un entero positivo" });
+    }
+    return { indice, productoId, cantidad };
+  });
+  if (errores.length > 0) return { lineas: [], total: 0, errores, stockPorId: new Map() };
+
+  const ids = [...new Set(pedidos.map((p) => p.productoId))];
+  const result = await db.query(
+    `SELECT id, codigo, nombre, precio, precio_oferta, en_oferta, stock FROM producto
+     WHERE id = ANY($1::int[]) ORDER BY id${bloquear ? " FOR UPDATE" : ""}`,
+    [ids]
+  );
+  const porId = new Map(result.rows.map((p) => [p.id, p]));
+  const stockPorId = new Map(result.rows.map((p) => [p.id, Number(p.stock) || 0]));
+
+  const lineas = [];
+  for (const pedido of pedidos) {
+    const producto = porId.get(pedido.productoId);
+    if (!producto) {
+      errores.push({ indice: pedido.indice, producto_id: pedido.productoId, error: "Producto no existe" });
+      continue;
+    }
+    const precioLista = Number(producto.precio) || 0;
+    const aplicaOferta = producto.en_oferta === true && producto.precio_oferta !== null;
+    const precioUnitario = aplicaOferta ? Number(producto.precio_oferta) : precioLista;
+
+    lineas.push({
+      id: producto.id,
+      codigo: producto.codigo,
+      nombre: producto.nombre,
+      precio_lista: precioLista,
+      en_oferta: aplicaOferta,
+      precio: redondear(precioUnitario),
+      cantidad: pedido.cantidad,
+      subtotal: redondear(precioUnitario * pedido.cantidad),
+    });
+  }
+
+  const total = redondear(lineas.reduce((acc, l) => acc + l.subtotal, 0));
+  return { lineas, total, errores, stockPorId };
+}
+
+// Verifica que alcance el stock sumando las cantidades de un mismo producto.
+// Devuelve la lista de faltantes (vacía si todo alcanza).
+function verificarStock(lineas, stockPorId) {
+  const pedidoPorId = new Map();
+  for (const linea of lineas) {
+    pedidoPorId.set(linea.id, (pedidoPorId.get(linea.id) || 0) + linea.cantidad);
+  }
+
+  const faltantes = [];
+  for (const [id, cantidad] of pedidoPorId) {
+    const disponible = stockPorId.get(id) || 0;
+    if (cantidad > disponible) {
+      const linea = lineas.find((l) => l.id === id);
+      faltantes.push({ producto_id: id, nombre: linea.nombre, solicitado: cantidad, disponible, error: "Stock insuficiente" });
+    }
+  }
+  return faltantes;
+}
+
+// Descuenta (signo -1) o devuelve (signo 1) el stock de las líneas
+async function moverStock(db, lineas, signo) {
+  for (const linea of lineas) {
+    const productoId = Number(linea.id ?? linea.producto_id);
+    const cantidad = Number(linea.cantidad);
+    if (!productoId || !cantidad) continue;
+    await db.query("UPDATE producto SET stock = stock + $1 WHERE id = $2", [signo * cantidad, productoId]);
+  }
+}
+
+// Devuelve al inventario el stock de boletas que lo habían reservado y las marca como liberadas
+async function restaurarStockBoletas(db, boletas) {
+  for (const boleta of boletas) {
+    if (!boleta.stock_reservado) continue;
+    await moverStock(db, boleta.productos || [], 1);
+    await db.query("UPDATE boleta SET stock_reservado = FALSE WHERE id = $1", [boleta.id]);
+  }
+}
+
+// Arma las líneas de una nota de crédito a partir de lo vendido menos lo ya acreditado.
+// Sin `solicitados` se acredita todo el saldo. Devuelve { lineas, total, errores }.
+function calcularDevolucion(boleta, notas, solicitados) {
+  const vendidos = new Map();
+  for (const linea of boleta.productos || []) {
+    const id = Number(linea.id ?? linea.producto_id);
+    if (!id) continue;
+    const previo = vendidos.get(id);
+    vendidos.set(id, {
+      id,
+      nombre: linea.nombre || (previo && previo.nombre) || null,
+      precio: Number(linea.precio) || 0,
+      cantidad: (previo ? previo.cantidad : 0) + (Number(linea.cantidad) || 1),
+    });
+  }
+  const acreditado = cantidadesAcreditadas(notas);
+  const saldo = (id) => (vendidos.get(id) ? vendidos.get(id).cantidad : 0) - (acreditado.get(id) || 0);
+
+  const errores = [];
+  let pedidos;
+  if (!solicitados || solicitados.length === 0) {
+    pedidos = [...vendidos.keys()].map((id) => ({ id, cantidad: saldo(id) })).filter((p) => p.cantidad > 0);
+  } else {
+    pedidos = solicitados.map((item, indice) => {
+      const id = Number(item && (item.id ?? item.producto_id));
+      const cantidad = Number(item && item.cantidad);
+      if (!vendidos.has(id)) {
+        errores.push({ indice, producto_id: item && (item.id ?? item.producto_id), error: "El producto no está en la boleta" });
+      } else if (!Number.isInteger(cantidad) || cantidad <= 0) {
+        errores.push({ indice, producto_id: id, error: "cantidad debe ser un entero positivo" });
+      }
+      return { id, cantidad, indice };
+    });
+
+    // Validar contra el saldo sumando las cantidades pedidas de un mismo producto
+    const pedidoPorId = new Map();
+    for (const p of pedidos) pedidoPorId.set(p.id, (pedidoPorId.get(p.id) || 0) + (p.cantidad || 0));
+    if (errores.length === 0) {
+      for (const [id, cantidad] of pedidoPorId) {
+        if (cantidad > saldo(id)) {
+          errores.push({ producto_id: id, solicitado: cantidad, disponible: saldo(id), error: "Supera lo vendido menos lo ya acreditado" });
+        }
+      }
+    }
+  }
+  if (errores.length > 0) return { lineas: [], total: 0, errores };
+
+  const lineas = pedidos.map((p) => {
+    const vendido = vendidos.get(p.id);
+    return {
+      id: p.id,
+      nombre: vendido.nombre,
+      precio: vendido.precio,
+      cantidad: p.cantidad,
+      subtotal: redondear(vendido.precio * p.cantidad),
+    };
+  });
+  const total = redondear(lineas.reduce((acc, l) => acc + l.subtotal, 0));
+  return { lineas, total, errores };
+}
+
 // ============================
 // RUTAS
 // ============================
 
+/**
+ * @swagger
+ * /boletas/numero/{numero}:
+ *   get:
+ *     tags: [Boletas]
+ *     summary: Obtener boleta por número de compra
+ *     description: Solo el dueño de la boleta, un vendedor o un admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *     responses:
+ *       200:
+ *         description: Boleta encontrada
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la boleta
+ *       404:
+ *         description: Boleta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
 // Obtener boleta por número de compra
-app.get("/boletas/numero/:numero", async (req, res) => {
+app.get("/boletas/numero/:numero", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
   try {
     const num = Number(req.params.numero);
 
@@ -80,65 +325,343 @@ app.get("/boletas/numero/:numero", async (req, res) => {
     if (result.rows.length === 0)
       return res.status(404).json({ message: "Boleta no encontrada" });
 
-    const boleta = result.rows[0];
-    boleta.total = Number(boleta.total) || 0;
-
-    res.json(boleta);
+    res.json(normalizarMontos(result.rows[0]));
   } catch (error) {
     console.error("Error GET /boletas/numero/:numero", error.stack || error);
     res.status(500).json({ error: "Error al obtener boleta" });
   }
 });
 
+/**
+ * @swagger
+ * /boletas/export:
+ *   get:
+ *     tags: [Boletas]
+ *     summary: Exportar boletas a CSV o Excel
+ *     description: |
+ *       Una fila por línea de producto con los datos de la boleta y del comprador en columnas
+ *       (rol admin o vendedor). Se envía por streaming, sin cargar todas las boletas en memoria.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: desde
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-12-01"
+ *       - in: query
+ *         name: hasta
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive
+ *         example: "2024-12-31"
+ *       - in: query
+ *         name: user_id
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: estado
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Uno o varios estados separados por coma
+ *         example: "pagada,entregada"
+ *       - in: query
+ *         name: separador
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [",", ";"]
+ *           default: ","
+ *         description: Separador de columnas del CSV
+ *     responses:
+ *       200:
+ *         description: Archivo con las boletas
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Filtros o formato inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+// Exportar boletas (antes de /boletas/:userId para que "export" no se tome como userId)
+app.get("/boletas/export", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const formato = parsearFormato(req.query.formato);
+    const desde = parsearFecha(req.query.desde, "desde");
+    const hasta = parsearFecha(req.query.hasta, "hasta");
+    const estados = parsearFiltroEstado(req.query.estado);
+
+    const condiciones = [];
+    const params = [];
+    if (desde) {
+      params.push(desde);
+      condiciones.push(`b.fecha >= $${params.length}::date`);
+    }
+    if (hasta) {
+      params.push(hasta);
+      condiciones.push(`b.fecha < $${params.length}::date + 1`);
+    }
+    if (req.query.user_id !== undefined && req.query.user_id !== "") {
+      const uid = Number(req.query.user_id);
+      if (!Number.isInteger(uid)) return res.status(400).json({ message: "user_id debe ser un entero" });
+      params.push(uid);
+      condiciones.push(`b.user_id = $${params.length}`);
+    }
+    if (estados) {
+      params.push(estados);
+      condiciones.push(`b.estado = ANY($${params.length}::text[])`);
+    }
+
+    const sql = `
+      SELECT b.numero_compra, b.folio, b.fecha, b.estado, b.user_id, b.comprador,
+             b.neto, b.iva, b.total,
+             d.linea, d.producto_id, d.codigo, d.nombre, d.precio_lista, d.precio, d.cantidad, d.descuento, d.subtotal
+      FROM boleta b
+      LEFT JOIN boleta_detalle d ON d.boleta_id = b.id
+      ${condiciones.length ? `WHERE ${condiciones.join(" AND ")}` : ""}
+      ORDER BY b.fecha, b.id, d.linea`;
+
+    const comprador = (campo) => (fila) => (fila.comprador && typeof fila.comprador === "object" ? fila.comprador[campo] : null);
+
+    await exportar(res, {
+      formato,
+      nombre: `boletas-${new Date().toISOString().slice(0, 10)}`,
+      hoja: "Boletas",
+      separador: req.query.separador === ";" ? ";" : ",",
+      filas: recorrerConsulta(pool, sql, params),
+      columnas: [
+        { clave: "numero_compra", titulo: "N° compra" },
+        { clave: "folio", titulo: "Folio", numero: true },
+        { clave: "fecha", titulo: "Fecha", ancho: 22 },
+        { clave: "estado", titulo: "Estado" },
+        { clave: "user_id", titulo: "Usuario" },
+        { clave: "comprador_nombre", titulo: "Comprador", valor: comprador("nombre"), ancho: 24 },
+        { clave: "comprador_correo", titulo: "Correo", valor: comprador("correo"), ancho: 28 },
+        { clave: "comprador_run", titulo: "RUN", valor: comprador("run") },
+        { clave: "comprador_telefono", titulo: "Teléfono", valor: comprador("telefono") },
+        { clave: "comprador_direccion", titulo: "Dirección", valor: comprador("direccion"), ancho: 28 },
+        { clave: "comprador_comuna", titulo: "Comuna", valor: comprador("comuna") },
+        { clave: "comprador_region", titulo: "Región", valor: comprador("region"), ancho: 24 },
+        { clave: "linea", titulo: "Línea" },
+        { clave: "producto_id", titulo: "Producto ID" },
+        { clave: "codigo", titulo: "Código" },
+        { clave: "nombre", titulo: "Producto", ancho: 28 },
+        { clave: "precio_lista", titulo: "Precio lista", numero: true },
+        { clave: "precio", titulo: "Precio", numero: true },
+        { clave: "cantidad", titulo: "Cantidad" },
+        { clave: "descuento", titulo: "Descuento", numero: true },
+        { clave: "subtotal", titulo: "Subtotal", numero: true },
+        { clave: "neto", titulo: "Neto boleta", numero: true },
+        { clave: "iva", titulo: "IVA boleta", numero: true },
+        { clave: "total", titulo: "Total boleta", numero: true },
+      ],
+    });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ message: error.message });
+    console.error("Error GET /boletas/export", error.stack || error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ error: "Error al exportar boletas" });
+  }
+});
+
+/**
+ * @swagger
+ * /boletas/{userId}:
+ *   get:
+ *     tags: [Boletas]
+ *     summary: Obtener boletas de un usuario
+ *     description: Boletas paginadas del usuario (solo el propio usuario, un vendedor o un admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 5
+ *       - $ref: '#/components/parameters/estadoBoletas'
+ *       - $ref: '#/components/parameters/desdeBoletas'
+ *       - $ref: '#/components/parameters/hastaBoletas'
+ *       - $ref: '#/components/parameters/totalMin'
+ *       - $ref: '#/components/parameters/totalMax'
+ *       - $ref: '#/components/parameters/ordenBoletas'
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: Página de boletas del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pagina'
+ *       400:
+ *         description: Filtros, orden o paginación inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de las boletas
+ *       500:
+ *         description: Error interno del servidor
+ */
 // Obtener boletas por usuario
-app.get("/boletas/:userId", async (req, res) => {
+app.get("/boletas/:userId", politica(POLITICAS.PROPIETARIO, { param: "userId", roles: [ROLES.VENDEDOR] }), async (req, res) => {
   try {
     const id = Number(req.params.userId);
+    if (!Number.isInteger(id)) return res.status(400).json({ message: "userId debe ser un entero" });
 
-    const result = await pool.query(
-      "SELECT * FROM boleta WHERE user_id=$1 ORDER BY fecha DESC",
-      [Number.isNaN(id) ? req.params.userId : id]
-    );
-
-    const rows = result.rows.map(r => ({
-      ...r,
-      total: Number(r.total) || 0,
-      numero_compra: r.numero_compra
-    }));
+    const { user_id, ...filtros } = LISTADO_BOLETAS.filtros;
+    const pagina = await listar(pool, { ...LISTADO_BOLETAS, filtros, condiciones: ["b.user_id = $1"], params: [id] }, req.query);
 
-    res.json(rows);
+    res.json({ ...pagina, datos: pagina.datos.map(normalizarMontos) });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ message: error.message });
     console.error("Error GET /boletas/:userId", error.stack || error);
     res.status(500).json({ error: "Error al obtener boletas del usuario" });
   }
 });
 
-// Obtener todas las boletas
-app.get("/boletas", async (req, res) => {
+/**
+ * @swagger
+ * /boletas:
+ *   get:
+ *     tags: [Boletas]
+ *     summary: Obtener todas las boletas
+ *     description: Boletas paginadas, con filtros y orden (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/estadoBoletas'
+ *       - $ref: '#/components/parameters/desdeBoletas'
+ *       - $ref: '#/components/parameters/hastaBoletas'
+ *       - $ref: '#/components/parameters/userIdBoletas'
+ *       - $ref: '#/components/parameters/totalMin'
+ *       - $ref: '#/components/parameters/totalMax'
+ *       - $ref: '#/components/parameters/ordenBoletas'
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: Página de boletas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pagina'
+ *       400:
+ *         description: Filtros, orden o paginación inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+// Obtener todas las boletas (admin / vendedor)
+app.get("/boletas", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
   try {
-    const result = await pool.query(
-      "SELECT * FROM boleta ORDER BY fecha DESC"
-    );
-
-    const rows = result.rows.map(r => ({
-      ...r,
-      total: Number(r.total) || 0,
-      numero_compra: r.numero_compra
-    }));
-
-    res.json(rows);
+    const pagina = await listar(pool, LISTADO_BOLETAS, req.query);
+    res.json({ ...pagina, datos: pagina.datos.map(normalizarMontos) });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ message: error.message });
     console.error("Error GET /boletas", error.stack || error);
     res.status(500).json({ error: "Error al obtener todas las boletas" });
   }
 });
 
+/**
+ * @swagger
+ * /boletas:
+ *   post:
+ *     tags: [Boletas]
+ *     summary: Crear nueva boleta
+ *     description: |
+ *       Crea una boleta para el usuario del token. Solo admin o vendedor pueden indicar otro user_id.
+ *       Precios, subtotales y total se calculan con la tabla producto (precio_oferta si en_oferta);
+ *       el precio enviado en cada ítem se ignora.
+ *       Los precios incluyen IVA: la boleta guarda además neto, iva, tasa_iva (IVA_TASA, 19% por defecto),
+ *       un folio correlativo y los datos del emisor vigentes al momento de la venta.
+ *       La fecha de emisión la asigna el servidor; si el body trae `fecha` se ignora.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productos]
+ *             properties:
+ *               comprador:
+ *                 type: object
+ *                 description: region/comuna opcionales, validadas contra el catálogo de regiones
+ *                 example: { nombre: "Juan Pérez", correo: "juan@ejemplo.com", direccion: "Calle Principal 123", region: "Metropolitana", comuna: "Ñuñoa" }
+ *               productos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 description: Solo se usan id y cantidad de cada ítem
+ *                 example: [{ id: 15, cantidad: 1 }]
+ *               total:
+ *                 type: number
+ *                 example: 1299.99
+ *                 description: Opcional. Si viene y no coincide con el total calculado se responde 409.
+ *               user_id:
+ *                 type: integer
+ *                 example: 5
+ *               direccion_id:
+ *                 type: integer
+ *                 example: 3
+ *                 description: Dirección guardada del usuario; completa los datos de despacho de `comprador` (y nombre/correo si no vienen)
+ *     responses:
+ *       201:
+ *         description: Boleta creada
+ *       400:
+ *         description: Datos inválidos o productos inexistentes (detalle por ítem en `errores`)
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o user_id ajeno
+ *       404:
+ *         description: direccion_id no pertenece al usuario
+ *       409:
+ *         description: |
+ *           El total enviado no coincide con el calculado (se devuelve total_calculado),
+ *           o no hay stock suficiente (detalle por producto en `errores`)
+ *       500:
+ *         description: Error interno del servidor
+ */
 // Crear nueva boleta
-app.post("/boletas", async (req, res) => {
+app.post("/boletas", politica(POLITICAS.AUTENTICADO), async (req, res) => {
   try {
     console.log("POST /boletas body:", req.body);
 
-    let { fecha, comprador, productos, total, user_id } = req.body;
+    // fecha no se lee del body: la boleta se emite con la hora del servidor (folio y reportes dependen de ella)
+    let { comprador, productos, total, user_id, direccion_id } = req.body;
 
     // Intentar parseo si llegan strings
     if (typeof comprador === "string") {
@@ -160,31 +683,104 @@ app.post("/boletas", async (req, res) => {
     if (!productos || !Array.isArray(productos) || productos.length === 0) {
       return res.status(400).json({ message: "Productos requeridos (array no vacío)" });
     }
+
+    let uid = user_id !== undefined && user_id !== null ? (Number(user_id) || null) : null;
+
+    // Un cliente solo puede comprar a su nombre
+    const esGestion = [ROLES.ADMIN, ROLES.VENDEDOR].includes(req.auth.rol);
+    if (!esGestion) {
+      if (uid !== null && String(uid) !== String(req.auth.id)) {
+        return res.status(403).json({ message: "No puede crear boletas para otro usuario" });
+      }
+      uid = req.auth.id;
+    }
+
+    // Con direccion_id, los datos de despacho salen de la libreta del usuario
+    if (direccion_id !== undefined && direccion_id !== null && direccion_id !== "") {
+      if (uid === null) return res.status(400).json({ message: "direccion_id requiere user_id" });
+      const desdeLibreta = await compradorDesdeDireccion(uid, direccion_id);
+      if (!desdeLibreta) return res.status(404).json({ message: "Dirección no encontrada para el usuario" });
+      const { despacho, ...contacto } = desdeLibreta;
+      comprador = { ...contacto, ...(comprador && typeof comprador === "object" ? comprador : {}), ...despacho };
+    }
+
     if (!comprador || typeof comprador !== "object" || !comprador.nombre || !comprador.correo) {
       return res.status(400).json({ message: "Datos del comprador requeridos (nombre y correo)" });
     }
 
-    const fechaVal = fecha ? new Date(fecha) : new Date();
-    const totalNum = total !== undefined ? Number(total) : 0;
-    const uid = user_id !== undefined && user_id !== null ? (Number(user_id) || null) : null;
+    // Dirección de despacho: región/comuna deben existir en el catálogo y coincidir
+    if (comprador.region || comprador.comuna) {
+      const direccion = validarRegionComuna(comprador.region, comprador.comuna);
+      if (Object.keys(direccion.errores).length > 0) {
+        return res.status(400).json({ message: "Dirección del comprador inválida", errores: direccion.errores });
+      }
+      comprador = { ...comprador, region: direccion.region, comuna: direccion.comuna };
+    }
 
-    const compradorJson = JSON.stringify(comprador);
-    const productosJson = JSON.stringify(productos);
+    // Precios, total y stock se resuelven en una sola transacción con las filas de producto bloqueadas,
+    // así dos compras simultáneas no pueden vender la misma unidad
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
 
-    const query = `
-      INSERT INTO boleta (fecha, comprador, productos, total, user_id)
-      VALUES ($1, $2::jsonb, $3::jsonb, $4, $5)
-      RETURNING *;
-    `;
+      const calculo = await calcularLineas(client, productos, { bloquear: true });
+      if (calculo.errores.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: "Productos inválidos", errores: calculo.errores });
+      }
 
-    const params = [fechaVal, compradorJson, productosJson, totalNum, uid];
+      // Si el cliente envió un total, debe coincidir con el calculado
+      if (total !== undefined && total !== null && total !== "") {
+        const totalCliente = Number(total);
+        if (Number.isNaN(totalCliente) || Math.abs(redondear(totalCliente) - calculo.total) > 0.01) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            message: "El total enviado no coincide con los precios actuales",
+            total_enviado: Number.isNaN(totalCliente) ? total : totalCliente,
+            total_calculado: calculo.total,
+            productos: calculo.lineas,
+          });
+        }
+      }
 
-    const result = await pool.query(query, params);
+      const faltantes = verificarStock(calculo.lineas, calculo.stockPorId);
+      if (faltantes.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: "Stock insuficiente", errores: faltantes });
+      }
 
-    const boleta = result.rows[0];
-    boleta.total = Number(boleta.total) || 0;
+      await moverStock(client, calculo.lineas, -1);
+
+      const totalNum = calculo.total;
+      const { neto, iva } = desglosarIva(totalNum, TASA_IVA);
+      const folio = await siguienteFolio(client);
+
+      const compradorJson = JSON.stringify(comprador);
+      const productosJson = JSON.stringify(calculo.lineas);
+
+      const query = `
+        INSERT INTO boleta (fecha, comprador, productos, total, user_id, stock_reservado, folio, neto, iva, tasa_iva, emisor)
+        VALUES (NOW(), $1::jsonb, $2::jsonb, $3, $4, TRUE, $5, $6, $7, $8, $9::jsonb)
+        RETURNING *;
+      `;
+
+      const params = [compradorJson, productosJson, totalNum, uid, folio, neto, iva, TASA_IVA, JSON.stringify(emisorActual())];
+
+      const result = await client.query(query, params);
+      await insertarLineas(client, result.rows[0].id, calculo.lineas);
+      await client.query(
+        "INSERT INTO boleta_estado (boleta_id, estado_anterior, estado, usuario_id) VALUES ($1, NULL, $2, $3)",
+        [result.rows[0].id, result.rows[0].estado, req.auth.id]
+      );
+      await client.query("COMMIT");
 
-    res.status(201).json(boleta);
+      res.status(201).json(normalizarMontos(result.rows[0]));
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error("ERROR DETALLADO POST /boletas:", error.stack || error);
 
@@ -200,19 +796,415 @@ app.post("/boletas", async (req, res) => {
   }
 });
 
-// DELETE boletas de un usuario
-app.delete("/boletas/:userId", async (req, res) => {
+/**
+ * @swagger
+ * /boletas/numero/{numero}/estado:
+ *   post:
+ *     tags: [Boletas]
+ *     summary: Cambiar estado de la boleta
+ *     description: |
+ *       Transiciones válidas: pendiente → pagada | anulada; pagada → preparando | anulada;
+ *       preparando → despachada | anulada; despachada → entregada.
+ *       Admin y vendedor pueden hacer cualquier transición válida; el dueño solo puede anular una boleta pendiente.
+ *       Al anular se devuelve el stock al inventario.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [estado]
+ *             properties:
+ *               estado:
+ *                 type: string
+ *                 enum: [pendiente, pagada, preparando, despachada, entregada, anulada]
+ *                 example: "pagada"
+ *               comentario:
+ *                 type: string
+ *                 example: "Pago confirmado por transferencia"
+ *     responses:
+ *       200:
+ *         description: Estado actualizado; devuelve la boleta
+ *       400:
+ *         description: Estado desconocido
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño o no puede realizar esa transición
+ *       404:
+ *         description: Boleta no encontrada
+ *       409:
+ *         description: Transición no permitida desde el estado actual
+ *       500:
+ *         description: Error interno del servidor
+ */
+// Cambiar estado de una boleta
+app.post("/boletas/numero/:numero/estado", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  const { estado, comentario } = req.body || {};
+  const nuevo = String(estado || "").trim().toLowerCase();
+  if (!ESTADOS_VALIDOS.includes(nuevo)) {
+    return res.status(400).json({ message: `Estado inválido (${ESTADOS_VALIDOS.join(", ")})` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const num = Number(req.params.numero);
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT * FROM boleta WHERE numero_compra=$1 FOR UPDATE",
+      [Number.isNaN(num) ? req.params.numero : num]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Boleta no encontrada" });
+    }
+    const boleta = result.rows[0];
+
+    if (!puedeTransicionar(boleta.estado, nuevo)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `No se puede pasar de ${boleta.estado} a ${nuevo}`,
+        estado_actual: boleta.estado,
+        permitidos: TRANSICIONES[boleta.estado] || [],
+      });
+    }
+
+    const esGestion = [ROLES.ADMIN, ROLES.VENDEDOR].includes(req.auth.rol);
+    if (!esGestion && !(boleta.estado === ESTADOS.PENDIENTE && nuevo === ESTADOS.ANULADA)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ message: "Solo puede anular sus boletas pendientes" });
+    }
+
+    if (nuevo === ESTADOS.ANULADA) {
+      const notas = await client.query("SELECT 1 FROM nota_credito WHERE boleta_id=$1 LIMIT 1", [boleta.id]);
+      if (notas.rows.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: "La boleta tiene notas de crédito; acredite el saldo con otra nota de crédito" });
+      }
+      await restaurarStockBoletas(client, [boleta]);
+    }
+
+    const actualizada = await client.query(
+      "UPDATE boleta SET estado=$1 WHERE id=$2 RETURNING *",
+      [nuevo, boleta.id]
+    );
+    await client.query(
+      "INSERT INTO boleta_estado (boleta_id, estado_anterior, estado, usuario_id, comentario) VALUES ($1, $2, $3, $4, $5)",
+      [boleta.id, boleta.estado, nuevo, req.auth.id, comentario || null]
+    );
+    await client.query("COMMIT");
+
+    res.json(normalizarMontos(actualizada.rows[0]));
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error POST /boletas/numero/:numero/estado", error.stack || error);
+    res.status(500).json({ error: "Error al cambiar estado de la boleta" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /boletas/numero/{numero}/estados:
+ *   get:
+ *     tags: [Boletas]
+ *     summary: Historial de estados de la boleta
+ *     description: Cambios de estado en orden cronológico (dueño, vendedor o admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *     responses:
+ *       200:
+ *         description: Historial de estados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   estado_anterior:
+ *                     type: string
+ *                     example: "pendiente"
+ *                   estado:
+ *                     type: string
+ *                     example: "pagada"
+ *                   fecha:
+ *                     type: string
+ *                     format: date-time
+ *                   usuario_id:
+ *                     type: integer
+ *                   comentario:
+ *                     type: string
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la boleta
+ *       404:
+ *         description: Boleta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+// Historial de estados
+app.get("/boletas/numero/:numero/estados", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const num = Number(req.params.numero);
+    const boleta = await pool.query(
+      "SELECT id FROM boleta WHERE numero_compra=$1",
+      [Number.isNaN(num) ? req.params.numero : num]
+    );
+    if (boleta.rows.length === 0) return res.status(404).json({ message: "Boleta no encontrada" });
+
+    const result = await pool.query(
+      "SELECT estado_anterior, estado, fecha, usuario_id, comentario FROM boleta_estado WHERE boleta_id=$1 ORDER BY fecha, id",
+      [boleta.rows[0].id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error GET /boletas/numero/:numero/estados", error.stack || error);
+    res.status(500).json({ error: "Error al obtener historial de estados" });
+  }
+});
+
+/**
+ * @swagger
+ * /boletas/numero/{numero}/notas-credito:
+ *   post:
+ *     tags: [Notas de crédito]
+ *     summary: Emitir nota de crédito
+ *     description: |
+ *       Anula total o parcialmente una boleta pagada (rol admin o vendedor) sin borrarla.
+ *       Sin `productos` se acredita todo el saldo pendiente. Los productos devueltos vuelven al stock.
+ *       Para una boleta pendiente use la transición a anulada.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Devolución de producto defectuoso"
+ *               productos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     cantidad:
+ *                       type: integer
+ *                 example: [{ id: 22, cantidad: 1 }]
+ *     responses:
+ *       201:
+ *         description: Nota de crédito emitida
+ *       400:
+ *         description: Motivo faltante o ítems inválidos (detalle en `errores`)
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       404:
+ *         description: Boleta no encontrada
+ *       409:
+ *         description: La boleta no admite notas de crédito (pendiente, anulada o ya acreditada completa)
+ *       500:
+ *         description: Error interno del servidor
+ *   get:
+ *     tags: [Notas de crédito]
+ *     summary: Notas de crédito de una boleta
+ *     description: Dueño de la boleta, vendedor o admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *     responses:
+ *       200:
+ *         description: Notas de crédito de la boleta
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la boleta
+ *       404:
+ *         description: Boleta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+// Emitir nota de crédito
+app.post("/boletas/numero/:numero/notas-credito", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  let { motivo, productos } = req.body || {};
+  if (!motivo || !String(motivo).trim()) return res.status(400).json({ message: "Motivo requerido" });
+  if (typeof productos === "string") {
+    try {
+      productos = JSON.parse(productos);
+    } catch (e) {
+      return res.status(400).json({ message: "productos debe ser JSON válido" });
+    }
+  }
+  if (productos !== undefined && productos !== null && !Array.isArray(productos)) {
+    return res.status(400).json({ message: "productos debe ser un array" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const num = Number(req.params.numero);
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT * FROM boleta WHERE numero_compra=$1 FOR UPDATE",
+      [Number.isNaN(num) ? req.params.numero : num]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Boleta no encontrada" });
+    }
+    const boleta = result.rows[0];
+
+    if (boleta.estado === ESTADOS.PENDIENTE || boleta.estado === ESTADOS.ANULADA) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: `No se emiten notas de crédito para boletas ${boleta.estado}s` });
+    }
+
+    const notas = (await notasPorBoleta(client, [boleta.id])).get(boleta.id) || [];
+    const devolucion = calcularDevolucion(boleta, notas, productos);
+    if (devolucion.errores.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Ítems inválidos", errores: devolucion.errores });
+    }
+    if (devolucion.lineas.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "La boleta ya fue acreditada completamente" });
+    }
+
+    // Solo vuelve al stock lo que en su momento se descontó
+    if (boleta.stock_reservado) await moverStock(client, devolucion.lineas, 1);
+
+    const nota = await client.query(
+      `INSERT INTO nota_credito (boleta_id, numero_compra, motivo, productos, total, usuario_id)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6) RETURNING *;`,
+      [boleta.id, boleta.numero_compra, String(motivo).trim(), JSON.stringify(devolucion.lineas), devolucion.total, req.auth.id]
+    );
+    await client.query("COMMIT");
+
+    res.status(201).json(normalizarNota(nota.rows[0]));
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error POST /boletas/numero/:numero/notas-credito", error.stack || error);
+    res.status(500).json({ error: "Error al emitir nota de crédito" });
+  } finally {
+    client.release();
+  }
+});
+
+// Listar notas de crédito de una boleta
+app.get("/boletas/numero/:numero/notas-credito", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const num = Number(req.params.numero);
+    const boleta = await pool.query(
+      "SELECT id FROM boleta WHERE numero_compra=$1",
+      [Number.isNaN(num) ? req.params.numero : num]
+    );
+    if (boleta.rows.length === 0) return res.status(404).json({ message: "Boleta no encontrada" });
+
+    const notas = await notasPorBoleta(pool, [boleta.rows[0].id]);
+    res.json(notas.get(boleta.rows[0].id) || []);
+  } catch (error) {
+    console.error("Error GET /boletas/numero/:numero/notas-credito", error.stack || error);
+    res.status(500).json({ error: "Error al obtener notas de crédito" });
+  }
+});
+
+/**
+ * @swagger
+ * /boletas/{userId}:
+ *   delete:
+ *     tags: [Boletas]
+ *     summary: Eliminar boletas de un usuario
+ *     description: |
+ *       Borrado físico de todas las boletas del usuario (rol admin), devolviendo su stock al inventario.
+ *       Solo para limpiar datos de prueba: para deshacer una venta use notas de crédito o la anulación.
+ *       No se permite si alguna boleta tiene notas de crédito.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Boletas eliminadas
+ *       409:
+ *         description: Alguna boleta tiene notas de crédito
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+// DELETE boletas de un usuario (admin)
+app.delete("/boletas/:userId", politica(POLITICAS.ADMIN), async (req, res) => {
+  const client = await pool.connect();
   try {
     const id = Number(req.params.userId);
-    await pool.query(
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT id, productos, stock_reservado FROM boleta WHERE user_id=$1 FOR UPDATE",
+      [Number.isNaN(id) ? req.params.userId : id]
+    );
+    await restaurarStockBoletas(client, result.rows);
+    await client.query(
       "DELETE FROM boleta WHERE user_id=$1",
       [Number.isNaN(id) ? req.params.userId : id]
     );
 
+    await client.query("COMMIT");
     res.json({ ok: true });
   } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (error.code === "23503") {
+      return res.status(409).json({ message: "Hay boletas con notas de crédito; no se pueden eliminar" });
+    }
     console.error("Error DELETE /boletas/:userId", error.stack || error);
     res.status(500).json({ error: "Error al eliminar boletas" });
+  } finally {
+    client.release();
   }
 });
 
@@ -2,6 +2,7 @@
 const express = require("express");
 const cors = require("cors");
 const pool = require("./db");
+const { ROLES, POLITICAS, politica } = require("./auth");
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 require("dotenv").config();
@@ -27,7 +28,12 @@ const swaggerOptions = {
         url: 'http://18.212.75.254:4005',
         description: 'Servidor AWS'
       }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
   },
   apis: ['./index_categorias.js']
 };
@@ -86,7 +92,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 // -----------------------------
 // GET /categorias  --> devuelve objetos {id, nombre}
 // -----------------------------
-app.get("/categorias", async (req, res) => {
+app.get("/categorias", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
     const result = await pool.query("SELECT * FROM categoria ORDER BY nombre");
     res.json(result.rows);
@@ -120,7 +126,7 @@ app.get("/categorias", async (req, res) => {
 // -----------------------------
 // GET /categorias/nombres  --> devuelve array de strings ["Electrónica", ...]
 // -----------------------------
-app.get("/categorias/nombres", async (req, res) => {
+app.get("/categorias/nombres", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
     const result = await pool.query("SELECT nombre FROM categoria ORDER BY nombre");
     const nombres = result.rows.map(r => r.nombre);
@@ -139,7 +145,9 @@ app.get("/categorias/nombres", async (req, res) => {
  *   post:
  *     tags: [Categorías]
  *     summary: Crear nueva categoría
- *     description: Crea una nueva categoría en el sistema
+ *     description: Crea una nueva categoría en el sistema (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -171,13 +179,17 @@ app.get("/categorias/nombres", async (req, res) => {
  *         description: Nombre de categoría requerido
  *       409:
  *         description: La categoría ya existe
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // POST /categorias  --> crear nueva categoría { nombre }
 // -----------------------------
-app.post("/categorias", async (req, res) => {
+app.post("/categorias", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
   try {
     const { nombre } = req.body;
     if (!nombre || !String(nombre).trim()) {
@@ -203,7 +215,9 @@ app.post("/categorias", async (req, res) => {
  *   post:
  *     tags: [Categorías]
  *     summary: Insertar categorías por defecto
- *     description: Inserta las categorías predeterminadas (Electrónica, Ropa, Hogar, Gamer) si no existen
+ *     description: Inserta las categorías predeterminadas (Electrónica, Ropa, Hogar, Gamer) si no existen (rol admin)
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Categorías insertadas exitosamente
@@ -220,13 +234,17 @@ app.post("/categorias", async (req, res) => {
  *                   items:
  *                     type: string
  *                   example: ["Electrónica", "Ropa", "Hogar", "Gamer"]
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // POST /categorias/seed  --> insertar categorías por defecto si faltan
 // -----------------------------
-app.post("/categorias/seed", async (req, res) => {
+app.post("/categorias/seed", politica(POLITICAS.ADMIN), async (req, res) => {
   const defaults = ["Electrónica", "Ropa", "Hogar", "Gamer"];
   try {
     for (const nombre of defaults) {
@@ -251,7 +269,9 @@ app.post("/categorias/seed", async (req, res) => {
  *   put:
  *     tags: [Categorías]
  *     summary: Actualizar categoría
- *     description: Actualiza el nombre de una categoría existente
+ *     description: Actualiza el nombre de una categoría existente (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -279,13 +299,17 @@ app.post("/categorias/seed", async (req, res) => {
  *         description: Categoría no encontrada
  *       409:
  *         description: Ya existe otra categoría con ese nombre
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // PUT /categorias/:id  --> actualizar nombre { nombre }
 // -----------------------------
-app.put("/categorias/:id", async (req, res) => {
+app.put("/categorias/:id", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
   try {
     const { id } = req.params;
     const { nombre } = req.body;
@@ -313,7 +337,9 @@ app.put("/categorias/:id", async (req, res) => {
  *   delete:
  *     tags: [Categorías]
  *     summary: Eliminar categoría
- *     description: Elimina una categoría y limpia las referencias en productos
+ *     description: Elimina una categoría y limpia las referencias en productos (rol admin)
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -335,13 +361,17 @@ app.put("/categorias/:id", async (req, res) => {
  *                   example: true
  *       404:
  *         description: Categoría no encontrada
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // DELETE /categorias/:id  --> elimina categoría y opcionalmente limpia productos
 // -----------------------------
-app.delete("/categorias/:id", async (req, res) => {
+app.delete("/categorias/:id", politica(POLITICAS.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
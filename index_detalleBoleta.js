@@ -2,6 +2,15 @@
 const express = require("express");
 const cors = require("cors");
 const pool = require("./db"); // mismo pool
+const { ROLES, POLITICAS, politica } = require("./auth");
+const { ESTADOS, asegurarEstados } = require("./estados_boleta");
+const { asegurarNotasCredito, notasPorBoleta } = require("./notas_credito");
+const { TASA_IVA, emisorActual, lineasConIva, normalizarMontos } = require("./tributario");
+const { renderizarHtml, renderizarPdf } = require("./comprobante");
+const { asegurarLineas, lineasPorBoleta } = require("./lineas_boleta");
+const { redondear } = require("./montos");
+const { parsearFecha } = require("./fechas");
+const { listar, LISTADO_BOLETAS, PARAMETROS_SWAGGER, PARAMETROS_BOLETAS_SWAGGER, ESQUEMA_PAGINA_SWAGGER } = require("./listados");
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 require("dotenv").config();
@@ -27,8 +36,39 @@ const swaggerOptions = {
       { url: 'http://18.212.75.254:4004', description: 'Servidor AWS' }
     ],
     tags: [
-      { name: 'DetalleBoleta', description: 'Operaciones de consulta de boletas' }
-    ]
+      { name: 'DetalleBoleta', description: 'Operaciones de consulta de boletas' },
+      { name: 'Reportes', description: 'Reportes de ventas agregados (rol admin)' }
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: { Pagina: ESQUEMA_PAGINA_SWAGGER },
+      parameters: {
+        ...PARAMETROS_SWAGGER,
+        ...PARAMETROS_BOLETAS_SWAGGER,
+        desde: {
+          in: 'query', name: 'desde', required: false,
+          schema: { type: 'string', format: 'date' },
+          description: 'Inicio del rango (inclusive). Por defecto, 30 días antes de hasta',
+          example: '2024-12-01'
+        },
+        hasta: {
+          in: 'query', name: 'hasta', required: false,
+          schema: { type: 'string', format: 'date' },
+          description: 'Fin del rango (inclusive). Por defecto, hoy',
+          example: '2024-12-31'
+        },
+        ordenReporte: {
+          in: 'query', name: 'orden', required: false,
+          schema: { type: 'string', enum: ['cantidad', 'monto'], default: 'cantidad' }
+        },
+        limiteReporte: {
+          in: 'query', name: 'limite', required: false,
+          schema: { type: 'integer', default: 10, maximum: 100 }
+        }
+      }
+    }
   },
   apis: ['./index_detalleBoleta.js']
 };
@@ -61,13 +101,532 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
       );
     `);
 
-    console.log("Tabla 'boleta' verificada/creada para DetalleBoleta API.");
+    await asegurarEstados(pool);
+    await asegurarNotasCredito(pool);
+    // Folios y columnas tributarias los migra el servicio de Boletas; aquí solo se leen
+    await asegurarLineas(pool);
+
+    console.log("Tablas 'boleta' y 'boleta_detalle' verificadas/creadas para DetalleBoleta API.");
   } catch (err) {
     console.error("Error asegurando tabla boleta en DetalleBoleta API:", err.stack || err);
   }
 })();
 
 
+// Dueño (user_id) de la boleta indicada en :numeroCompra, undefined si no existe
+async function propietarioBoleta(req) {
+  const num = Number(req.params.numeroCompra);
+  const result = await pool.query(
+    "SELECT user_id FROM boleta WHERE numero_compra=$1",
+    [Number.isNaN(num) ? req.params.numeroCompra : num]
+  );
+  return result.rows.length ? result.rows[0].user_id : undefined;
+}
+
+// Agrega a la boleta lo acreditado por notas de crédito y el saldo vigente
+function conSaldo(boleta, notas) {
+  const montos = normalizarMontos(boleta);
+  const total = montos.total;
+  const totalAcreditado = redondear(notas.reduce((acc, n) => acc + n.total, 0));
+  return {
+    ...montos,
+    total_acreditado: totalAcreditado,
+    saldo: redondear(total - totalAcreditado),
+  };
+}
+
+// Detalle completo de una boleta (JSON, HTML y PDF salen de aquí). null si no existe.
+async function obtenerDetalle(numeroCompra) {
+  // Permite string o número (igual que la otra API)
+  const num = Number(numeroCompra);
+
+  const result = await pool.query(
+    "SELECT * FROM boleta WHERE numero_compra=$1",
+    [Number.isNaN(num) ? numeroCompra : num]
+  );
+  if (result.rows.length === 0) return null;
+
+  const boleta = result.rows[0];
+  const notas = (await notasPorBoleta(pool, [boleta.id])).get(boleta.id) || [];
+  const lineas = (await lineasPorBoleta(pool, [boleta.id])).get(boleta.id) || [];
+  const detalle = conSaldo(boleta, notas);
+
+  return {
+    ...detalle,
+    productos: lineasConIva(lineas, detalle.tasa_iva ?? TASA_IVA),
+    emisor: boleta.emisor || emisorActual(),
+    notas_credito: notas,
+  };
+}
+
+
+// ============================
+// REPORTES DE VENTAS
+// ============================
+
+// Estados que cuentan como venta en los reportes (pendientes y anuladas no)
+const ESTADOS_VENTA = [ESTADOS.PAGADA, ESTADOS.PREPARANDO, ESTADOS.DESPACHADA, ESTADOS.ENTREGADA];
+const DIAS_REPORTE_DEFECTO = 30;
+const FILTRO_VENTAS = "b.estado = ANY($1::text[]) AND b.fecha >= $2::date AND b.fecha < $3::date + 1";
+
+// Lee ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD (ambos inclusive). Por defecto, los últimos 30 días.
+// Lanza un error con status 400 si las fechas no son válidas.
+function parsearRango(query) {
+  const hasta = parsearFecha(query.hasta, "hasta") || new Date().toISOString().slice(0, 10);
+  const desde = parsearFecha(query.desde, "desde") ||
+    new Date(Date.parse(`${hasta}T00:00:00Z`) - (DIAS_REPORTE_DEFECTO - 1) * 86400000).toISOString().slice(0, 10);
+  if (desde > hasta) throw Object.assign(new Error("desde no puede ser posterior a hasta"), { status: 400 });
+  return { desde, hasta };
+}
+
+// Parámetros comunes de las consultas: $1 estados, $2 desde, $3 hasta
+function parametrosRango(rango) {
+  return [ESTADOS_VENTA, rango.desde, rango.hasta];
+}
+
+function limiteReporte(valor) {
+  const limite = Number(valor);
+  return Number.isInteger(limite) && limite > 0 ? Math.min(limite, 100) : 10;
+}
+
+/**
+ * @swagger
+ * /detalle/reportes/ventas:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Ingresos por día, semana o mes
+ *     description: |
+ *       Suma de boletas pagadas, en preparación, despachadas o entregadas (rol admin).
+ *       Las notas de crédito se descuentan en el período de la boleta que acreditan.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/desde'
+ *       - $ref: '#/components/parameters/hasta'
+ *       - in: query
+ *         name: agrupar
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [dia, semana, mes]
+ *           default: dia
+ *     responses:
+ *       200:
+ *         description: Ingresos por período
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: "2024-12-01"
+ *               hasta: "2024-12-31"
+ *               agrupar: "semana"
+ *               periodos:
+ *                 - periodo: "2024-12-02"
+ *                   boletas: 14
+ *                   total: 1250000
+ *                   acreditado: 25990
+ *                   ingreso: 1224010
+ *               totales:
+ *                 boletas: 14
+ *                 total: 1250000
+ *                 acreditado: 25990
+ *                 ingreso: 1224010
+ *       400:
+ *         description: Rango de fechas o agrupación inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/detalle/reportes/ventas", politica(POLITICAS.ADMIN), async (req, res) => {
+  const AGRUPACIONES = { dia: "day", semana: "week", mes: "month" };
+  try {
+    const rango = parsearRango(req.query);
+    const agrupar = req.query.agrupar || "dia";
+    if (!AGRUPACIONES[agrupar]) {
+      return res.status(400).json({ message: "agrupar debe ser dia, semana o mes" });
+    }
+
+    const result = await pool.query(
+      `SELECT to_char(date_trunc($4, b.fecha), 'YYYY-MM-DD') AS periodo,
+              COUNT(*)::int AS boletas,
+              COALESCE(SUM(b.total), 0) AS total,
+              COALESCE(SUM(nc.acreditado), 0) AS acreditado
+       FROM boleta b
+       LEFT JOIN (SELECT boleta_id, SUM(total) AS acreditado FROM nota_credito GROUP BY boleta_id) nc ON nc.boleta_id = b.id
+       WHERE ${FILTRO_VENTAS}
+       GROUP BY 1
+       ORDER BY 1`,
+      [...parametrosRango(rango), AGRUPACIONES[agrupar]]
+    );
+
+    const periodos = result.rows.map(r => ({
+      periodo: r.periodo,
+      boletas: r.boletas,
+      total: redondear(r.total),
+      acreditado: redondear(r.acreditado),
+      ingreso: redondear(r.total - r.acreditado),
+    }));
+    const totales = periodos.reduce(
+      (acc, p) => ({
+        boletas: acc.boletas + p.boletas,
+        total: redondear(acc.total + p.total),
+        acreditado: redondear(acc.acreditado + p.acreditado),
+        ingreso: redondear(acc.ingreso + p.ingreso),
+      }),
+      { boletas: 0, total: 0, acreditado: 0, ingreso: 0 }
+    );
+
+    res.json({ ...rango, agrupar, periodos, totales });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /detalle/reportes/ventas", err.stack || err);
+    res.status(500).json({ message: "Error al generar el reporte de ventas" });
+  }
+});
+
+/**
+ * @swagger
+ * /detalle/reportes/productos:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Productos más vendidos
+ *     description: Ranking a partir de boleta_detalle; no descuenta devoluciones por notas de crédito (rol admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/desde'
+ *       - $ref: '#/components/parameters/hasta'
+ *       - $ref: '#/components/parameters/ordenReporte'
+ *       - $ref: '#/components/parameters/limiteReporte'
+ *     responses:
+ *       200:
+ *         description: Productos más vendidos
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: "2024-12-01"
+ *               hasta: "2024-12-31"
+ *               productos:
+ *                 - id: 15
+ *                   codigo: "LAP-001"
+ *                   nombre: "Laptop Gamer"
+ *                   cantidad: 12
+ *                   monto: 1511880
+ *                   boletas: 11
+ *       400:
+ *         description: Rango de fechas u orden inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/detalle/reportes/productos", politica(POLITICAS.ADMIN), async (req, res) => {
+  try {
+    const rango = parsearRango(req.query);
+    const orden = req.query.orden || "cantidad";
+    if (!["cantidad", "monto"].includes(orden)) {
+      return res.status(400).json({ message: "orden debe ser cantidad o monto" });
+    }
+
+    const result = await pool.query(
+      `SELECT d.producto_id AS id, MAX(d.codigo) AS codigo, MAX(d.nombre) AS nombre,
+              SUM(d.cantidad)::int AS cantidad, SUM(d.subtotal) AS monto, COUNT(DISTINCT d.boleta_id)::int AS boletas
+       FROM boleta_detalle d
+       JOIN boleta b ON b.id = d.boleta_id
+       WHERE ${FILTRO_VENTAS}
+       GROUP BY d.producto_id
+       ORDER BY ${orden} DESC, d.producto_id
+       LIMIT $4`,
+      [...parametrosRango(rango), limiteReporte(req.query.limite)]
+    );
+
+    res.json({ ...rango, productos: result.rows.map(r => ({ ...r, monto: redondear(r.monto) })) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /detalle/reportes/productos", err.stack || err);
+    res.status(500).json({ message: "Error al generar el reporte de productos" });
+  }
+});
+
+/**
+ * @swagger
+ * /detalle/reportes/categorias:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Categorías más vendidas
+ *     description: Usa la categoría actual de cada producto; los productos eliminados quedan en "Sin categoría" (rol admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/desde'
+ *       - $ref: '#/components/parameters/hasta'
+ *       - $ref: '#/components/parameters/ordenReporte'
+ *       - $ref: '#/components/parameters/limiteReporte'
+ *     responses:
+ *       200:
+ *         description: Categorías más vendidas
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: "2024-12-01"
+ *               hasta: "2024-12-31"
+ *               categorias:
+ *                 - categoria: "Computación"
+ *                   cantidad: 20
+ *                   monto: 2150000
+ *                   boletas: 17
+ *       400:
+ *         description: Rango de fechas u orden inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/detalle/reportes/categorias", politica(POLITICAS.ADMIN), async (req, res) => {
+  try {
+    const rango = parsearRango(req.query);
+    const orden = req.query.orden || "cantidad";
+    if (!["cantidad", "monto"].includes(orden)) {
+      return res.status(400).json({ message: "orden debe ser cantidad o monto" });
+    }
+
+    const result = await pool.query(
+      `SELECT COALESCE(NULLIF(p.categoria, ''), 'Sin categoría') AS categoria,
+              SUM(d.cantidad)::int AS cantidad, SUM(d.subtotal) AS monto, COUNT(DISTINCT d.boleta_id)::int AS boletas
+       FROM boleta_detalle d
+       JOIN boleta b ON b.id = d.boleta_id
+       LEFT JOIN producto p ON p.id = d.producto_id
+       WHERE ${FILTRO_VENTAS}
+       GROUP BY 1
+       ORDER BY ${orden} DESC, 1
+       LIMIT $4`,
+      [...parametrosRango(rango), limiteReporte(req.query.limite)]
+    );
+
+    res.json({ ...rango, categorias: result.rows.map(r => ({ ...r, monto: redondear(r.monto) })) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /detalle/reportes/categorias", err.stack || err);
+    res.status(500).json({ message: "Error al generar el reporte de categorías" });
+  }
+});
+
+/**
+ * @swagger
+ * /detalle/reportes/ticket-promedio:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Ticket promedio
+ *     description: Monto y unidades promedio por boleta en el rango (rol admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/desde'
+ *       - $ref: '#/components/parameters/hasta'
+ *     responses:
+ *       200:
+ *         description: Ticket promedio
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: "2024-12-01"
+ *               hasta: "2024-12-31"
+ *               boletas: 40
+ *               total: 3600000
+ *               ticket_promedio: 90000
+ *               ticket_minimo: 4990
+ *               ticket_maximo: 459990
+ *               unidades_promedio: 2.35
+ *       400:
+ *         description: Rango de fechas inválido
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/detalle/reportes/ticket-promedio", politica(POLITICAS.ADMIN), async (req, res) => {
+  try {
+    const rango = parsearRango(req.query);
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS boletas,
+              COALESCE(SUM(b.total), 0) AS total,
+              COALESCE(AVG(b.total), 0) AS ticket_promedio,
+              COALESCE(MIN(b.total), 0) AS ticket_minimo,
+              COALESCE(MAX(b.total), 0) AS ticket_maximo,
+              COALESCE(AVG(u.unidades), 0) AS unidades_promedio
+       FROM boleta b
+       LEFT JOIN (SELECT boleta_id, SUM(cantidad) AS unidades FROM boleta_detalle GROUP BY boleta_id) u ON u.boleta_id = b.id
+       WHERE ${FILTRO_VENTAS}`,
+      parametrosRango(rango)
+    );
+
+    const r = result.rows[0];
+    res.json({
+      ...rango,
+      boletas: r.boletas,
+      total: redondear(r.total),
+      ticket_promedio: redondear(r.ticket_promedio),
+      ticket_minimo: redondear(r.ticket_minimo),
+      ticket_maximo: redondear(r.ticket_maximo),
+      unidades_promedio: redondear(r.unidades_promedio),
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /detalle/reportes/ticket-promedio", err.stack || err);
+    res.status(500).json({ message: "Error al generar el reporte de ticket promedio" });
+  }
+});
+
+/**
+ * @swagger
+ * /detalle/reportes/zonas:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Ventas por región o comuna
+ *     description: Agrupa por la dirección de despacho del comprador (rol admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/desde'
+ *       - $ref: '#/components/parameters/hasta'
+ *       - in: query
+ *         name: agrupar
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [region, comuna]
+ *           default: region
+ *     responses:
+ *       200:
+ *         description: Ventas por zona
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: "2024-12-01"
+ *               hasta: "2024-12-31"
+ *               agrupar: "comuna"
+ *               zonas:
+ *                 - region: "Metropolitana de Santiago"
+ *                   comuna: "Ñuñoa"
+ *                   boletas: 9
+ *                   total: 820000
+ *       400:
+ *         description: Rango de fechas o agrupación inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/detalle/reportes/zonas", politica(POLITICAS.ADMIN), async (req, res) => {
+  try {
+    const rango = parsearRango(req.query);
+    const agrupar = req.query.agrupar || "region";
+    if (!["region", "comuna"].includes(agrupar)) {
+      return res.status(400).json({ message: "agrupar debe ser region o comuna" });
+    }
+
+    const columnas = [`COALESCE(NULLIF(b.comprador->>'region', ''), 'Sin región') AS region`];
+    if (agrupar === "comuna") columnas.push(`COALESCE(NULLIF(b.comprador->>'comuna', ''), 'Sin comuna') AS comuna`);
+
+    const result = await pool.query(
+      `SELECT ${columnas.join(", ")}, COUNT(*)::int AS boletas, COALESCE(SUM(b.total), 0) AS total
+       FROM boleta b
+       WHERE ${FILTRO_VENTAS}
+       GROUP BY ${columnas.map((_, i) => i + 1).join(", ")}
+       ORDER BY total DESC`,
+      parametrosRango(rango)
+    );
+
+    res.json({ ...rango, agrupar, zonas: result.rows.map(r => ({ ...r, total: redondear(r.total) })) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /detalle/reportes/zonas", err.stack || err);
+    res.status(500).json({ message: "Error al generar el reporte por zona" });
+  }
+});
+
+/**
+ * @swagger
+ * /detalle/reportes/clientes:
+ *   get:
+ *     tags: [Reportes]
+ *     summary: Tasa de clientes recurrentes
+ *     description: |
+ *       Un cliente es su user_id o, para compras como invitado, su correo.
+ *       Es recurrente si tiene dos o más boletas dentro del rango (rol admin).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/desde'
+ *       - $ref: '#/components/parameters/hasta'
+ *     responses:
+ *       200:
+ *         description: Clientes y recurrencia
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: "2024-12-01"
+ *               hasta: "2024-12-31"
+ *               clientes: 30
+ *               recurrentes: 6
+ *               tasa_recurrencia: 0.2
+ *               boletas: 40
+ *               total_recurrentes: 1450000
+ *       400:
+ *         description: Rango de fechas inválido
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+app.get("/detalle/reportes/clientes", politica(POLITICAS.ADMIN), async (req, res) => {
+  try {
+    const rango = parsearRango(req.query);
+    const result = await pool.query(
+      `WITH compras AS (
+         SELECT COALESCE('u' || b.user_id, 'c' || LOWER(b.comprador->>'correo')) AS cliente,
+                COUNT(*) AS boletas, SUM(b.total) AS total
+         FROM boleta b
+         WHERE ${FILTRO_VENTAS}
+         GROUP BY 1
+       )
+       SELECT COUNT(*)::int AS clientes,
+              COUNT(*) FILTER (WHERE boletas > 1)::int AS recurrentes,
+              COALESCE(SUM(boletas), 0)::int AS boletas,
+              COALESCE(SUM(total) FILTER (WHERE boletas > 1), 0) AS total_recurrentes
+       FROM compras
+       WHERE cliente IS NOT NULL`,
+      parametrosRango(rango)
+    );
+
+    const r = result.rows[0];
+    res.json({
+      ...rango,
+      clientes: r.clientes,
+      recurrentes: r.recurrentes,
+      tasa_recurrencia: r.clientes ? Math.round((r.recurrentes / r.clientes) * 10000) / 10000 : 0,
+      boletas: r.boletas,
+      total_recurrentes: redondear(r.total_recurrentes),
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /detalle/reportes/clientes", err.stack || err);
+    res.status(500).json({ message: "Error al generar el reporte de clientes" });
+  }
+});
+
 
 /**
  * @swagger
@@ -75,7 +634,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *   get:
  *     tags: [DetalleBoleta]
  *     summary: Obtener detalle completo de boleta
- *     description: Consulta todos los detalles de una boleta por su número de compra
+ *     description: Consulta todos los detalles de una boleta por su número de compra (dueño, vendedor o admin)
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: numeroCompra
@@ -86,7 +647,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *         example: "1001"
  *     responses:
  *       200:
- *         description: Detalle de boleta encontrado
+ *         description: Detalle de boleta encontrado, con desglose de IVA por boleta y por línea
  *         content:
  *           application/json:
  *             schema:
@@ -98,6 +659,28 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *                 numero_compra:
  *                   type: integer
  *                   example: 1001
+ *                 folio:
+ *                   type: integer
+ *                   description: Folio correlativo de la boleta
+ *                   example: 154
+ *                 emisor:
+ *                   type: object
+ *                   properties:
+ *                     rut:
+ *                       type: string
+ *                       example: "76.123.456-7"
+ *                     razon_social:
+ *                       type: string
+ *                       example: "Comercial Ejemplo SpA"
+ *                     giro:
+ *                       type: string
+ *                       example: "Venta al por menor de artículos tecnológicos"
+ *                     direccion:
+ *                       type: string
+ *                       example: "Av. Providencia 1234"
+ *                     comuna:
+ *                       type: string
+ *                       example: "Providencia"
  *                 fecha:
  *                   type: string
  *                   format: date-time
@@ -116,27 +699,95 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *                       example: "Calle Principal 123"
  *                 productos:
  *                   type: array
+ *                   description: Líneas de la tabla boleta_detalle
  *                   items:
  *                     type: object
  *                     properties:
+ *                       linea:
+ *                         type: integer
+ *                         example: 1
  *                       id:
  *                         type: integer
+ *                         description: Id del producto
  *                         example: 15
+ *                       codigo:
+ *                         type: string
+ *                         example: "LAP-001"
  *                       nombre:
  *                         type: string
  *                         example: "Laptop Gamer"
+ *                       precio_lista:
+ *                         type: number
+ *                         example: 135990
  *                       precio:
  *                         type: number
- *                         example: 1299.99
+ *                         description: Precio unitario cobrado
+ *                         example: 125990
  *                       cantidad:
  *                         type: integer
  *                         example: 1
+ *                       descuento:
+ *                         type: number
+ *                         description: (precio_lista - precio) x cantidad
+ *                         example: 10000
+ *                       subtotal:
+ *                         type: number
+ *                         example: 125990
+ *                       neto:
+ *                         type: number
+ *                         example: 105874
+ *                       iva:
+ *                         type: number
+ *                         example: 20116
+ *                 neto:
+ *                   type: number
+ *                   example: 105874
+ *                 iva:
+ *                   type: number
+ *                   example: 20116
+ *                 tasa_iva:
+ *                   type: number
+ *                   example: 0.19
  *                 total:
  *                   type: number
+ *                   description: Total bruto (IVA incluido)
  *                   example: 125990
  *                 user_id:
  *                   type: integer
  *                   example: 5
+ *                 estado:
+ *                   type: string
+ *                   enum: [pendiente, pagada, preparando, despachada, entregada, anulada]
+ *                   example: "pagada"
+ *                 notas_credito:
+ *                   type: array
+ *                   description: Notas de crédito emitidas sobre la boleta
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       numero:
+ *                         type: integer
+ *                         example: 3
+ *                       fecha:
+ *                         type: string
+ *                         format: date-time
+ *                       motivo:
+ *                         type: string
+ *                         example: "Devolución de producto defectuoso"
+ *                       productos:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       total:
+ *                         type: number
+ *                         example: 9990
+ *                 total_acreditado:
+ *                   type: number
+ *                   example: 9990
+ *                 saldo:
+ *                   type: number
+ *                   description: Total menos lo acreditado
+ *                   example: 116000
  *       404:
  *         description: Boleta no encontrada
  *         content:
@@ -147,35 +798,138 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *                 message:
  *                   type: string
  *                   example: "Boleta no encontrada"
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la boleta
  *       500:
  *         description: Error interno del servidor
  */
 // ============================
 // OBTENER DETALLE POR NUMERO_COMPRA
 // ============================
-app.get("/detalle/:numeroCompra", async (req, res) => {
+app.get("/detalle/:numeroCompra", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
   try {
-    const { numeroCompra } = req.params;
+    const detalle = await obtenerDetalle(req.params.numeroCompra);
+    if (!detalle) {
+      return res.status(404).json({ message: "Boleta no encontrada" });
+    }
 
-    // Permite string o número (igual que la otra API)
-    const num = Number(numeroCompra);
+    res.json(detalle);
+  } catch (err) {
+    console.error("Error GET /detalle/:numeroCompra", err.stack || err);
+    res.status(500).json({ message: "Error al obtener detalle de la boleta" });
+  }
+});
 
-    const result = await pool.query(
-      "SELECT * FROM boleta WHERE numero_compra=$1",
-      [Number.isNaN(num) ? numeroCompra : num]
-    );
 
-    if (result.rows.length === 0) {
+/**
+ * @swagger
+ * /detalle/{numeroCompra}/pdf:
+ *   get:
+ *     tags: [DetalleBoleta]
+ *     summary: Comprobante de la boleta en PDF
+ *     description: Comprobante imprimible generado en el servidor (dueño, vendedor o admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numeroCompra
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *       - in: query
+ *         name: descargar
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Con true se envía como adjunto en vez de mostrarse en el navegador
+ *     responses:
+ *       200:
+ *         description: Comprobante PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la boleta
+ *       404:
+ *         description: Boleta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+// ============================
+// COMPROBANTE PDF
+// ============================
+app.get("/detalle/:numeroCompra/pdf", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const detalle = await obtenerDetalle(req.params.numeroCompra);
+    if (!detalle) {
       return res.status(404).json({ message: "Boleta no encontrada" });
     }
 
-    const boleta = result.rows[0];
-    boleta.total = Number(boleta.total) || 0;
+    const modo = req.query.descargar === "true" || req.query.descargar === "1" ? "attachment" : "inline";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `${modo}; filename="boleta-${detalle.numero_compra}.pdf"`);
+    renderizarPdf(detalle, res);
+  } catch (err) {
+    console.error("Error GET /detalle/:numeroCompra/pdf", err.stack || err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Error al generar el comprobante PDF" });
+  }
+});
+
+
+/**
+ * @swagger
+ * /detalle/{numeroCompra}/html:
+ *   get:
+ *     tags: [DetalleBoleta]
+ *     summary: Comprobante de la boleta en HTML
+ *     description: Misma información que el PDF, como página lista para imprimir (dueño, vendedor o admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: numeroCompra
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "1001"
+ *     responses:
+ *       200:
+ *         description: Comprobante HTML
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la boleta
+ *       404:
+ *         description: Boleta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+// ============================
+// COMPROBANTE HTML
+// ============================
+app.get("/detalle/:numeroCompra/html", politica(POLITICAS.PROPIETARIO, { propietario: propietarioBoleta, roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const detalle = await obtenerDetalle(req.params.numeroCompra);
+    if (!detalle) {
+      return res.status(404).json({ message: "Boleta no encontrada" });
+    }
 
-    res.json(boleta);
+    res.type("html").send(renderizarHtml(detalle));
   } catch (err) {
-    console.error("Error GET /detalle/:numeroCompra", err.stack || err);
-    res.status(500).json({ message: "Error al obtener detalle de la boleta" });
+    console.error("Error GET /detalle/:numeroCompra/html", err.stack || err);
+    res.status(500).json({ message: "Error al generar el comprobante HTML" });
   }
 });
 
@@ -186,79 +940,115 @@ app.get("/detalle/:numeroCompra", async (req, res) => {
  *   get:
  *     tags: [DetalleBoleta]
  *     summary: Obtener todas las boletas
- *     description: Lista completa de todas las boletas del sistema (para administración)
+ *     description: Boletas paginadas con notas de crédito, saldo y líneas (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/estadoBoletas'
+ *       - $ref: '#/components/parameters/desdeBoletas'
+ *       - $ref: '#/components/parameters/hastaBoletas'
+ *       - $ref: '#/components/parameters/userIdBoletas'
+ *       - $ref: '#/components/parameters/totalMin'
+ *       - $ref: '#/components/parameters/totalMax'
+ *       - $ref: '#/components/parameters/ordenBoletas'
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: Lista de boletas obtenida exitosamente
+ *         description: Página de boletas
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   numero_compra:
- *                     type: integer
- *                     example: 1001
- *                   fecha:
- *                     type: string
- *                     format: date-time
- *                     example: "2024-12-14T10:30:00.000Z"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Pagina'
+ *                 - type: object
+ *                   properties:
+ *                     datos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 1
+ *                           numero_compra:
+ *                             type: integer
+ *                             example: 1001
+ *                           fecha:
+ *                             type: string
+ *                             format: date-time
+ *                             example: "2024-12-14T10:30:00.000Z"
+ *                           comprador:
+ *                             type: object
+ *                             properties:
+ *                               nombre:
+ *                                 type: string
+ *                                 example: "Juan Pérez"
+ *                               correo:
+ *                                 type: string
+ *                                 example: "juan@ejemplo.com"
+ *                           productos:
+ *                             type: array
+ *                             description: Líneas de la tabla boleta_detalle
+ *                             items:
+ *                               type: object
+ *                           total:
+ *                             type: number
+ *                             example: 125990
+ *                           user_id:
+ *                             type: integer
+ *                             example: 5
+ *                           total_acreditado:
+ *                             type: number
+ *                             example: 0
+ *                           saldo:
+ *                             type: number
+ *                             example: 125990
+ *             example:
+ *               total: 2
+ *               limite: 20
+ *               offset: 0
+ *               siguiente_cursor: null
+ *               datos:
+ *                 - id: 1
+ *                   numero_compra: 1001
+ *                   fecha: "2024-12-14T10:30:00.000Z"
  *                   comprador:
- *                     type: object
- *                     properties:
- *                       nombre:
- *                         type: string
- *                         example: "Juan Pérez"
- *                       correo:
- *                         type: string
- *                         example: "juan@ejemplo.com"
+ *                     nombre: "Juan Pérez"
+ *                     correo: "juan@ejemplo.com"
+ *                     direccion: "Calle Principal 123"
  *                   productos:
- *                     type: array
- *                     items:
- *                       type: object
- *                   total:
- *                     type: number
- *                     example: 125990
- *                   user_id:
- *                     type: integer
- *                     example: 5
- *             example:
- *               - id: 1
- *                 numero_compra: 1001
- *                 fecha: "2024-12-14T10:30:00.000Z"
- *                 comprador:
- *                   nombre: "Juan Pérez"
- *                   correo: "juan@ejemplo.com"
- *                   direccion: "Calle Principal 123"
- *                 productos:
- *                   - id: 15
- *                     nombre: "Laptop Gamer"
- *                     precio: 1299.99
- *                     cantidad: 1
- *                   - id: 22
- *                     nombre: "Mouse Gaming"
- *                     precio: 49.99
- *                     cantidad: 2
- *                 total: 1399.97
- *                 user_id: 5
- *               - id: 2
- *                 numero_compra: 1002
- *                 fecha: "2024-12-14T11:15:00.000Z"
- *                 comprador:
- *                   nombre: "María García"
- *                   correo: "maria@ejemplo.com"
- *                   direccion: "Avenida Central 456"
- *                 productos:
- *                   - id: 8
- *                     nombre: "Smartphone"
- *                     precio: 799.99
- *                     cantidad: 1
- *                 total: 799.99
- *                 user_id: 8
+ *                     - id: 15
+ *                       nombre: "Laptop Gamer"
+ *                       precio: 1299.99
+ *                       cantidad: 1
+ *                     - id: 22
+ *                       nombre: "Mouse Gaming"
+ *                       precio: 49.99
+ *                       cantidad: 2
+ *                   total: 1399.97
+ *                   user_id: 5
+ *                 - id: 2
+ *                   numero_compra: 1002
+ *                   fecha: "2024-12-14T11:15:00.000Z"
+ *                   comprador:
+ *                     nombre: "María García"
+ *                     correo: "maria@ejemplo.com"
+ *                     direccion: "Avenida Central 456"
+ *                   productos:
+ *                     - id: 8
+ *                       nombre: "Smartphone"
+ *                       precio: 799.99
+ *                       cantidad: 1
+ *                   total: 799.99
+ *                   user_id: 8
+ *       400:
+ *         description: Filtros, orden o paginación inválidos
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  *         content:
@@ -273,18 +1063,23 @@ app.get("/detalle/:numeroCompra", async (req, res) => {
 // ============================
 // GET TODAS LAS BOLETAS (ADMIN)
 // ============================
-app.get("/detalle", async (req, res) => {
+app.get("/detalle", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM boleta ORDER BY fecha DESC");
+    const pagina = await listar(pool, LISTADO_BOLETAS, req.query);
 
-    const rows = result.rows.map(r => ({
-      ...r,
-      total: Number(r.total) || 0,
+    // Notas de crédito y líneas solo de la página pedida
+    const ids = pagina.datos.map(r => r.id);
+    const notas = await notasPorBoleta(pool, ids);
+    const lineas = await lineasPorBoleta(pool, ids);
+    const datos = pagina.datos.map(r => ({
+      ...conSaldo(r, notas.get(r.id) || []),
+      productos: lineas.get(r.id) || [],
       numero_compra: r.numero_compra || null
     }));
 
-    res.json(rows);
+    res.json({ ...pagina, datos });
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
     console.error("Error GET /detalle", err.stack || err);
     res.status(500).json({ message: "Error al obtener todas las boletas" });
   }
@@ -2,10 +2,25 @@
 const express = require("express");
 const cors = require("cors");
 const pool = require("./db");
+const { ROLES, POLITICAS, politica } = require("./auth");
+const { parsearFormato, recorrerConsulta, exportar } = require("./exportacion");
+const { listar, construirFiltros, clausulaWhere, PARAMETROS_SWAGGER, ESQUEMA_PAGINA_SWAGGER } = require("./listados");
+const { VECTOR_PRODUCTO, NOMBRE_NORMALIZADO, RANGOS_PRECIO, asegurarBusqueda, configurarSimilitud } = require("./busqueda");
+const { claveTexto } = require("./catalogo_regiones");
+const { IMAGEN_MAX_BYTES, filtroMime, procesarImagen, urlsAlmacenadas, eliminarImagen } = require("./imagenes");
+const { DIRECTORIO_UPLOADS } = require("./almacenamiento");
+const {
+  asegurarGaleria,
+  galeriaDe,
+  agregarImagenes,
+  quitarImagen,
+  reemplazarPrincipal,
+  marcarPrincipal,
+  reordenarGaleria,
+} = require("./galeria_producto");
+const { parse } = require("csv-parse/sync");
 require("dotenv").config();
 const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 
@@ -30,7 +45,14 @@ const swaggerOptions = {
         url: 'http://18.212.75.254:4003',
         description: 'Servidor AWS'
       }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      parameters: PARAMETROS_SWAGGER,
+      schemas: { Pagina: ESQUEMA_PAGINA_SWAGGER }
+    }
   },
   apis: ['./index_productos.js']
 };
@@ -45,23 +67,214 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // -----------------------------
-// MULTER (guardar en disk/uploads)
+// MULTER (imágenes en memoria; imagenes.js las valida y guarda sus variantes en el almacenamiento configurado)
 // -----------------------------
-const uploadDir = path.join(__dirname, "uploads");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+const GALERIA_MAX_ARCHIVOS = Number(process.env.GALERIA_MAX_ARCHIVOS) || 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGEN_MAX_BYTES, files: GALERIA_MAX_ARCHIVOS },
+  fileFilter: filtroMime,
+});
+
+// Envuelve upload.single/array para responder los errores de multer como 400/413 en vez de 500
+function recibirArchivos(manejador) {
+  return (req, res, next) => {
+    manejador(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ message: `La imagen supera ${IMAGEN_MAX_BYTES} bytes` });
+      if (err.code === "LIMIT_FILE_COUNT") return res.status(400).json({ message: `Máximo ${GALERIA_MAX_ARCHIVOS} imágenes por envío` });
+      res.status(err.status || 400).json({ message: err.message });
+    });
+  };
+}
+const recibirImagen = recibirArchivos(upload.single("imagen"));
+const recibirGaleria = recibirArchivos(upload.array("imagenes", GALERIA_MAX_ARCHIVOS));
+
+// Borra los archivos de una imagen reemplazada o eliminada, salvo que otro producto aún la use
+async function descartarImagen(imagenUrl, variantes) {
+  const urls = urlsAlmacenadas(imagenUrl, variantes);
+  if (urls.length === 0) return;
+  const enUso = await pool.query(
+    `SELECT 1 FROM producto_imagen WHERE url = ANY($1::text[])
+     UNION ALL
+     SELECT 1 FROM producto WHERE imagen_url = ANY($1::text[])
+     LIMIT 1`,
+    [urls]
+  );
+  if (enUso.rows.length > 0) return;
+  await eliminarImagen(imagenUrl, variantes);
+}
+
+// Producto con su galería ordenada (imagen_url sigue siendo la principal)
+async function obtenerProducto(db, id) {
+  const result = await db.query("SELECT * FROM producto WHERE id = $1", [id]);
+  if (result.rows.length === 0) return null;
+  return { ...result.rows[0], galeria: await galeriaDe(db, id) };
+}
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || "";
-    cb(null, `${Date.now()}-${file.originalname.replace(/\s+/g, "_")}${ext}`);
+// CSV de importación: en memoria y con límite de tamaño (no debe quedar publicado en /uploads)
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+const IMPORT_MAX_FILAS = Number(process.env.IMPORT_MAX_FILAS) || 5000;
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const esCsv = /\.csv$/i.test(file.originalname) || /csv|text\/plain|excel/.test(file.mimetype);
+    cb(esCsv ? null : Object.assign(new Error("El archivo debe ser CSV"), { status: 400 }), esCsv);
   },
 });
-const upload = multer({ storage });
+
+// ============ VALIDACIÓN DE PRODUCTO ============
+// Columnas editables con sus reglas (compartidas por POST, PUT e importación CSV).
+// claves: nombres aceptados en el body; defecto: valor cuando el campo llega vacío.
+const CAMPOS_PRODUCTO = [
+  { columna: "codigo", claves: ["codigo"], tipo: "texto", max: 100 },
+  { columna: "nombre", claves: ["nombre"], tipo: "texto", max: 200, requerido: true },
+  { columna: "descripcion", claves: ["descripcion"], tipo: "texto" },
+  { columna: "categoria", claves: ["categoria"], tipo: "texto", max: 100 },
+  { columna: "precio", claves: ["precio"], tipo: "numero", requerido: true },
+  { columna: "precio_oferta", claves: ["precio_oferta"], tipo: "numero" },
+  { columna: "en_oferta", claves: ["en_oferta"], tipo: "booleano", defecto: false },
+  { columna: "stock", claves: ["stock"], tipo: "entero", defecto: 0 },
+  { columna: "stock_critico", claves: ["stock_critico"], tipo: "entero", defecto: 0 },
+  { columna: "imagen_url", claves: ["imagen_url", "imagen"], tipo: "texto" },
+];
+const CLAVES_PRODUCTO = new Set(CAMPOS_PRODUCTO.flatMap((c) => c.claves));
+
+// true/false, 1/0 o sí/no (formularios y CSV). undefined si no se reconoce.
+function convertirBooleano(valor) {
+  if (typeof valor === "boolean") return valor;
+  const clave = claveTexto(valor);
+  if (["true", "1", "si", "s", "yes"].includes(clave)) return true;
+  if (["false", "0", "no", "n"].includes(clave)) return false;
+  return undefined;
+}
+
+// Convierte un valor no vacío según el tipo del campo. Devuelve { valor } o { error }.
+function convertirCampo(campo, valor) {
+  if (campo.tipo === "booleano") {
+    const booleano = convertirBooleano(valor);
+    return booleano === undefined ? { error: "Debe ser sí/no, true/false o 1/0" } : { valor: booleano };
+  }
+  if (typeof valor !== "string" && typeof valor !== "number") return { error: "Tipo de dato inválido" };
+
+  if (campo.tipo === "numero" || campo.tipo === "entero") {
+    const numero = Number(valor);
+    if (campo.tipo === "entero" && (!Number.isInteger(numero) || numero < 0)) return { error: "Debe ser un entero mayor o igual a 0" };
+    if (!Number.isFinite(numero) || numero < 0) return { error: "Debe ser un número mayor o igual a 0" };
+    return { valor: numero };
+  }
+
+  const texto = String(valor);
+  if (campo.max && texto.length > campo.max) return { error: `Máximo ${campo.max} caracteres` };
+  return { valor: texto };
+}
+
+// Valida el body contra CAMPOS_PRODUCTO. Las claves desconocidas se rechazan.
+// Con parcial=true solo considera las claves presentes (update); si no, las ausentes toman su defecto o null (alta).
+// `actual` es la fila existente, para validar la oferta con los valores que resultarán.
+// Devuelve { valores: { columna: valor }, errores: { campo: mensaje } }
+function validarProducto(body, { parcial = false, actual = {} } = {}) {
+  const valores = {};
+  const errores = {};
+
+  for (const clave of Object.keys(body)) {
+    if (!CLAVES_PRODUCTO.has(clave)) errores[clave] = "Campo no permitido";
+  }
+
+  for (const campo of CAMPOS_PRODUCTO) {
+    const clave = campo.claves.find((k) => body[k] !== undefined);
+    if (clave === undefined && parcial) continue;
+
+    let valor = clave === undefined ? null : body[clave];
+    if (typeof valor === "string") valor = valor.trim();
+    if (valor === "" || valor === null) {
+      valor = campo.defecto ?? null;
+    } else {
+      const convertido = convertirCampo(campo, valor);
+      if (convertido.error) {
+        errores[campo.columna] = convertido.error;
+        continue;
+      }
+      valor = convertido.valor;
+    }
+
+    if (campo.requerido && valor === null) {
+      errores[campo.columna] = "Campo requerido";
+      continue;
+    }
+    valores[campo.columna] = valor;
+  }
+
+  // Coherencia de la oferta con los valores resultantes (los nuevos o los actuales)
+  const final = { ...actual, ...valores };
+  if (final.en_oferta && !errores.precio_oferta && !errores.precio && !errores.en_oferta) {
+    const precioOferta = final.precio_oferta === null || final.precio_oferta === undefined ? null : Number(final.precio_oferta);
+    if (precioOferta === null) errores.precio_oferta = "Requerido si en_oferta es verdadero";
+    else if (precioOferta >= Number(final.precio)) errores.precio_oferta = "Debe ser menor que precio";
+  }
+
+  return { valores, errores };
+}
+
+// Encabezados aceptados (también los títulos de GET /productos/export)
+const COLUMNAS_IMPORT = CAMPOS_PRODUCTO.map((c) => c.columna);
+const ALIAS_COLUMNAS_IMPORT = { imagen: "imagen_url" };
+
+function columnaImport(encabezado) {
+  const clave = claveTexto(encabezado).replace(/ /g, "_");
+  return ALIAS_COLUMNAS_IMPORT[clave] || clave;
+}
+
+// Lee el CSV (separador , o ; según el encabezado) y devuelve [{ fila, datos }]
+function leerCsvProductos(buffer) {
+  const texto = buffer.toString("utf8");
+  const primeraLinea = texto.split(/\r?\n/, 1)[0];
+  const delimiter = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length ? ";" : ",";
+
+  const registros = parse(texto, {
+    bom: true,
+    delimiter,
+    columns: (encabezados) => encabezados.map(columnaImport),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    info: true,
+  });
+  return registros.map(({ record, info }) => ({ fila: info.lines, datos: record }));
+}
+
+// Valida una fila del CSV con CAMPOS_PRODUCTO contra el producto existente (si lo hay).
+// Celdas vacías: en una actualización conservan el valor actual; en una creación toman el valor por defecto.
+// Devuelve { valores, errores } con los valores ya convertidos.
+function validarFilaImport(datos, existente, categorias) {
+  const presentes = Object.fromEntries(
+    Object.entries(datos).filter(([columna, valor]) => columna !== "id" && valor !== undefined && valor !== "")
+  );
+  const { valores, errores } = validarProducto(presentes, { parcial: true, actual: existente || {} });
+
+  if (valores.codigo === undefined && !errores.codigo) errores.codigo = "Requerido";
+  if (!existente) {
+    for (const campo of CAMPOS_PRODUCTO.filter((c) => c.requerido)) {
+      if (valores[campo.columna] === undefined && !errores[campo.columna]) errores[campo.columna] = "Requerido para productos nuevos";
+    }
+  }
+
+  if (valores.categoria !== undefined) {
+    const oficial = categorias.get(claveTexto(valores.categoria));
+    if (!oficial) errores.categoria = `Categoría "${valores.categoria}" no existe`;
+    else valores.categoria = oficial;
+  }
+
+  return { valores, errores };
+}
 
 // Servir archivos estáticos (imágenes)
-app.use("/uploads", express.static(uploadDir));
+// Con ALMACENAMIENTO=s3 sirve solo los archivos antiguos que aún no se migran (node migrar_uploads.js)
+app.use("/uploads", express.static(DIRECTORIO_UPLOADS));
+
 
+configurarSimilitud(pool);
 
 // -----------------------------
 // Crear tabla producto (si no existe) + asegurar columnas
@@ -85,67 +298,397 @@ app.use("/uploads", express.static(uploadDir));
     await pool.query(`ALTER TABLE producto ADD COLUMN IF NOT EXISTS stock INTEGER DEFAULT 0;`);
     await pool.query(`ALTER TABLE producto ADD COLUMN IF NOT EXISTS stock_critico INTEGER DEFAULT 0;`);
     await pool.query(`ALTER TABLE producto ADD COLUMN IF NOT EXISTS imagen_url TEXT;`);
+    // URLs de las variantes generadas al subir la imagen (null si imagen_url es una URL externa o antigua)
+    await pool.query(`ALTER TABLE producto ADD COLUMN IF NOT EXISTS imagen_variantes JSONB;`);
 
     console.log("Tabla 'producto' verificada/actualizada.");
   } catch (err) {
     console.error("Error creando/verificando tabla producto:", err);
   }
+
+  try {
+    await asegurarGaleria(pool);
+    console.log("Tabla 'producto_imagen' verificada/actualizada.");
+  } catch (err) {
+    console.error("Error creando/verificando tabla producto_imagen:", err.stack || err);
+  }
+
+  try {
+    await asegurarBusqueda(pool);
+    console.log("Índices de búsqueda de productos verificados.");
+  } catch (err) {
+    console.error("Error preparando la búsqueda de productos (¿permiso para CREATE EXTENSION?):", err.stack || err);
+  }
 })();
 
 
 
+// Precio que paga el cliente (mismo criterio que el cálculo de boletas)
+const PRECIO_VIGENTE = "CASE WHEN COALESCE(en_oferta, FALSE) AND precio_oferta IS NOT NULL THEN precio_oferta ELSE COALESCE(precio, 0) END";
+
+// Orden y filtros permitidos en GET /productos
+const LISTADO_PRODUCTOS = {
+  desde: "FROM producto",
+  orden: {
+    id: { expr: "id", tipo: "int" },
+    nombre: { expr: "COALESCE(nombre, '')", tipo: "text" },
+    codigo: { expr: "COALESCE(codigo, '')", tipo: "text" },
+    categoria: { expr: "COALESCE(categoria, '')", tipo: "text" },
+    precio: { expr: PRECIO_VIGENTE, tipo: "numeric" },
+    stock: { expr: "COALESCE(stock, 0)", tipo: "int" },
+  },
+  ordenDefecto: "id",
+  filtros: {
+    precio_min: { tipo: "numero", sql: (v, p) => `${PRECIO_VIGENTE} >= ${p(v)}` },
+    precio_max: { tipo: "numero", sql: (v, p) => `${PRECIO_VIGENTE} <= ${p(v)}` },
+    en_oferta: { tipo: "booleano", sql: (v, p) => `COALESCE(en_oferta, FALSE) = ${p(v)}` },
+    categoria: { tipo: "texto", sql: (v, p) => `LOWER(categoria) = LOWER(${p(v)})` },
+    stock_bajo: {
+      tipo: "booleano",
+      sql: (v) => (v ? "COALESCE(stock, 0) <= COALESCE(stock_critico, 0)" : "COALESCE(stock, 0) > COALESCE(stock_critico, 0)"),
+    },
+  },
+};
+
 /**
  * @swagger
  * /productos:
  *   get:
  *     tags: [Productos]
- *     summary: Obtener todos los productos
- *     description: Retorna una lista completa de todos los productos del sistema
+ *     summary: Obtener productos
+ *     description: Catálogo paginado, con filtros y orden
+ *     parameters:
+ *       - in: query
+ *         name: orden
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [id, -id, nombre, -nombre, codigo, -codigo, categoria, -categoria, precio, -precio, stock, -stock]
+ *           default: id
+ *         description: Campo de orden; prefijo - para descendente. precio es el precio vigente (precio_oferta si en_oferta)
+ *       - in: query
+ *         name: precio_min
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: Precio vigente mínimo
+ *       - in: query
+ *         name: precio_max
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: Precio vigente máximo
+ *       - in: query
+ *         name: en_oferta
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: categoria
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: "Electrónica"
+ *       - in: query
+ *         name: stock_bajo
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: true = stock igual o bajo stock_critico
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: Lista de productos obtenida exitosamente
+ *         description: Página de productos
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   nombre:
- *                     type: string
- *                     example: "Laptop Gamer"
- *                   descripcion:
- *                     type: string
- *                     example: "Laptop con RTX 4080, 32GB RAM"
- *                   precio:
- *                     type: number
- *                     example: 1299.99
- *                   stock:
- *                     type: integer
- *                     example: 15
- *                   imagen_url:
- *                     type: string
- *                     example: "/uploads/123456-laptop.jpg"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Pagina'
+ *                 - type: object
+ *                   properties:
+ *                     datos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 1
+ *                           nombre:
+ *                             type: string
+ *                             example: "Laptop Gamer"
+ *                           descripcion:
+ *                             type: string
+ *                             example: "Laptop con RTX 4080, 32GB RAM"
+ *                           precio:
+ *                             type: number
+ *                             example: 1299.99
+ *                           stock:
+ *                             type: integer
+ *                             example: 15
+ *                           imagen_url:
+ *                             type: string
+ *                             example: "/uploads/123456-laptop.jpg"
+ *       400:
+ *         description: Filtros, orden o paginación inválidos
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // GET /productos
 // -----------------------------
-app.get("/productos", async (req, res) => {
+app.get("/productos", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM producto ORDER BY id");
-    res.json(result.rows);
+    res.json(await listar(pool, LISTADO_PRODUCTOS, req.query));
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
     console.error("Error GET /productos:", err.stack || err);
     res.status(500).json({ message: "Error al obtener productos", error: err.message });
   }
 });
 
 
+/**
+ * @swagger
+ * /productos/export:
+ *   get:
+ *     tags: [Productos]
+ *     summary: Exportar catálogo a CSV o Excel
+ *     description: Catálogo completo con precios y stock, enviado por streaming (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: categoria
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: "Electrónica"
+ *       - in: query
+ *         name: separador
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [",", ";"]
+ *           default: ","
+ *         description: Separador de columnas del CSV
+ *     responses:
+ *       200:
+ *         description: Archivo con el catálogo
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Formato inválido
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// GET /productos/export  (antes de /productos/:id)
+// -----------------------------
+app.get("/productos/export", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const formato = parsearFormato(req.query.formato);
+    const categoria = req.query.categoria ? String(req.query.categoria) : null;
+
+    await exportar(res, {
+      formato,
+      nombre: `productos-${new Date().toISOString().slice(0, 10)}`,
+      hoja: "Productos",
+      separador: req.query.separador === ";" ? ";" : ",",
+      filas: recorrerConsulta(
+        pool,
+        `SELECT * FROM producto ${categoria ? "WHERE categoria = $1" : ""} ORDER BY id`,
+        categoria ? [categoria] : []
+      ),
+      columnas: [
+        { clave: "id", titulo: "ID" },
+        { clave: "codigo", titulo: "Código" },
+        { clave: "nombre", titulo: "Nombre", ancho: 30 },
+        { clave: "descripcion", titulo: "Descripción", ancho: 40 },
+        { clave: "categoria", titulo: "Categoría", ancho: 20 },
+        { clave: "precio", titulo: "Precio", numero: true },
+        { clave: "precio_oferta", titulo: "Precio oferta", numero: true },
+        { clave: "en_oferta", titulo: "En oferta", valor: (p) => (p.en_oferta ? "sí" : "no") },
+        { clave: "stock", titulo: "Stock" },
+        { clave: "stock_critico", titulo: "Stock crítico" },
+        { clave: "imagen_url", titulo: "Imagen", ancho: 40 },
+      ],
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /productos/export:", err.stack || err);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ message: "Error al exportar productos", error: err.message });
+  }
+});
+
+
+// Coincidencia y relevancia de GET /productos/search ($1 = texto buscado, q = subconsulta con tsquery y texto normalizado)
+const COINCIDE_BUSQUEDA = `(${VECTOR_PRODUCTO} @@ q.tsq OR q.texto <% ${NOMBRE_NORMALIZADO} OR LOWER(codigo) = LOWER($1))`;
+const RELEVANCIA_BUSQUEDA = `(ts_rank_cd(${VECTOR_PRODUCTO}, q.tsq) + word_similarity(q.texto, ${NOMBRE_NORMALIZADO})
+  + CASE WHEN LOWER(codigo) = LOWER($1) THEN 1 ELSE 0 END)`;
+const TRAMO_PRECIO = `CASE ${RANGOS_PRECIO.map((r, i) =>
+  r.hasta === null ? `ELSE ${i}` : `WHEN ${PRECIO_VIGENTE} < ${r.hasta} THEN ${i}`).join(" ")} END`;
+
+/**
+ * @swagger
+ * /productos/search:
+ *   get:
+ *     tags: [Productos]
+ *     summary: Buscar productos
+ *     description: |
+ *       Búsqueda de texto completo en nombre, descripción y código, sin distinguir tildes y con
+ *       raíces en español ("electronica" encuentra "Electrónica"). Tolera errores de tipeo en el nombre
+ *       por similitud de trigramas. Ordena por relevancia y acepta los mismos filtros y paginación que GET /productos.
+ *       Las facetas cuentan los resultados por categoría y por tramo de precio vigente; cada faceta ignora su propio filtro.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         example: "notebok gamer"
+ *       - in: query
+ *         name: orden
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [-relevancia, relevancia, id, -id, nombre, -nombre, codigo, -codigo, categoria, -categoria, precio, -precio, stock, -stock]
+ *           default: -relevancia
+ *       - in: query
+ *         name: precio_min
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: precio_max
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: en_oferta
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: categoria
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: Resultados paginados con facetas
+ *         content:
+ *           application/json:
+ *             example:
+ *               q: "electronica"
+ *               total: 2
+ *               limite: 20
+ *               offset: 0
+ *               siguiente_cursor: null
+ *               datos:
+ *                 - id: 15
+ *                   codigo: "LAP-001"
+ *                   nombre: "Laptop Gamer"
+ *                   categoria: "Electrónica"
+ *                   precio: "1299990"
+ *                   relevancia: 0.8333
+ *               facetas:
+ *                 categorias:
+ *                   - categoria: "Electrónica"
+ *                     cantidad: 2
+ *                 precios:
+ *                   - desde: 0
+ *                     hasta: 10000
+ *                     cantidad: 0
+ *                   - desde: 500000
+ *                     hasta: null
+ *                     cantidad: 2
+ *       400:
+ *         description: q faltante o filtros, orden o paginación inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// GET /productos/search  (antes de /productos/:id)
+// -----------------------------
+app.get("/productos/search", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2 || q.length > 200) {
+      return res.status(400).json({ message: "q debe tener entre 2 y 200 caracteres" });
+    }
+
+    const definicion = {
+      ...LISTADO_PRODUCTOS,
+      desde: `FROM producto CROSS JOIN (SELECT websearch_to_tsquery('es_unaccent', $1) AS tsq, f_unaccent(LOWER($1)) AS texto) q`,
+      seleccion: `producto.*, ROUND(${RELEVANCIA_BUSQUEDA}::numeric, 4)::float8 AS relevancia`,
+      id: "producto.id",
+      condiciones: [COINCIDE_BUSQUEDA],
+      params: [q],
+      orden: { relevancia: { expr: RELEVANCIA_BUSQUEDA, tipo: "float8" }, ...LISTADO_PRODUCTOS.orden },
+      ordenDefecto: "-relevancia",
+    };
+
+    const pagina = await listar(pool, definicion, req.query);
+
+    // Cada faceta se calcula sin su propio filtro, para poder ofrecer las alternativas
+    const porCategoria = construirFiltros(definicion, req.query, ["categoria"]);
+    const categorias = await pool.query(
+      `SELECT COALESCE(NULLIF(categoria, ''), 'Sin categoría') AS categoria, COUNT(*)::int AS cantidad
+       ${definicion.desde} ${clausulaWhere(porCategoria.condiciones)}
+       GROUP BY 1 ORDER BY cantidad DESC, 1`,
+      porCategoria.params
+    );
+
+    const porPrecio = construirFiltros(definicion, req.query, ["precio_min", "precio_max"]);
+    const tramos = await pool.query(
+      `SELECT ${TRAMO_PRECIO} AS tramo, COUNT(*)::int AS cantidad
+       ${definicion.desde} ${clausulaWhere(porPrecio.condiciones)}
+       GROUP BY 1`,
+      porPrecio.params
+    );
+    const cantidadPorTramo = new Map(tramos.rows.map(t => [t.tramo, t.cantidad]));
+
+    res.json({
+      q,
+      ...pagina,
+      facetas: {
+        categorias: categorias.rows,
+        precios: RANGOS_PRECIO.map((r, i) => ({ ...r, cantidad: cantidadPorTramo.get(i) || 0 })),
+      },
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /productos/search:", err.stack || err);
+    res.status(500).json({ message: "Error al buscar productos", error: err.message });
+  }
+});
+
+
 /**
  * @swagger
  * /productos/categoria/{cat}:
@@ -172,7 +715,7 @@ app.get("/productos", async (req, res) => {
 // -----------------------------
 // GET /productos/categoria/:cat
 // -----------------------------
-app.get("/productos/categoria/:cat", async (req, res) => {
+app.get("/productos/categoria/:cat", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
     const { cat } = req.params;
     const result = await pool.query("SELECT * FROM producto WHERE categoria = $1", [cat]);
@@ -190,7 +733,7 @@ app.get("/productos/categoria/:cat", async (req, res) => {
  *   get:
  *     tags: [Productos]
  *     summary: Obtener producto por ID
- *     description: Retorna los detalles de un producto específico
+ *     description: Retorna los detalles de un producto específico con su galería ordenada (imagen_url es la imagen principal)
  *     parameters:
  *       - in: path
  *         name: id
@@ -202,6 +745,24 @@ app.get("/productos/categoria/:cat", async (req, res) => {
  *     responses:
  *       200:
  *         description: Producto encontrado
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 1
+ *               codigo: "LAP-001"
+ *               nombre: "Laptop Gamer"
+ *               imagen_url: "/uploads/1717000000000-a1b2c3d4e5f6-grande.jpg"
+ *               galeria:
+ *                 - id: 40
+ *                   orden: 1
+ *                   principal: true
+ *                   url: "/uploads/1717000000000-a1b2c3d4e5f6-grande.jpg"
+ *                   variantes: {}
+ *                 - id: 41
+ *                   orden: 2
+ *                   principal: false
+ *                   url: "https://cdn.ejemplo.cl/laptop-lateral.jpg"
+ *                   variantes: null
  *       404:
  *         description: Producto no encontrado
  *       500:
@@ -210,12 +771,13 @@ app.get("/productos/categoria/:cat", async (req, res) => {
 // -----------------------------
 // GET /productos/:id
 // -----------------------------
-app.get("/productos/:id", async (req, res) => {
+app.get("/productos/:id", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query("SELECT * FROM producto WHERE id = $1", [id]);
-    if (result.rows.length === 0) return res.status(404).json({ message: "No encontrado" });
-    res.json(result.rows[0]);
+    if (!/^\d+$/.test(id)) return res.status(400).json({ message: "id debe ser un entero" });
+    const producto = await obtenerProducto(pool, id);
+    if (!producto) return res.status(404).json({ message: "No encontrado" });
+    res.json(producto);
   } catch (err) {
     console.error("Error GET /productos/:id", err.stack || err);
     res.status(500).json({ message: "Error al obtener producto", error: err.message });
@@ -229,7 +791,11 @@ app.get("/productos/:id", async (req, res) => {
  *   post:
  *     tags: [Productos]
  *     summary: Crear nuevo producto
- *     description: Crea un nuevo producto con opción de subir imagen
+ *     description: |
+ *       Crea un nuevo producto con opción de subir imagen (rol admin o vendedor).
+ *       Solo se aceptan los campos documentados. Si en_oferta es verdadero, precio_oferta es obligatorio y menor que precio.
+ *     security:
+ *       - bearerAuth: []
  *     consumes:
  *       - multipart/form-data
  *     requestBody:
@@ -242,8 +808,13 @@ app.get("/productos/:id", async (req, res) => {
  *               - nombre
  *               - precio
  *             properties:
+ *               codigo:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "CEL-108"
  *               nombre:
  *                 type: string
+ *                 maxLength: 200
  *                 example: "Smartphone XYZ"
  *               descripcion:
  *                 type: string
@@ -269,63 +840,275 @@ app.get("/productos/:id", async (req, res) => {
  *               imagen:
  *                 type: string
  *                 format: binary
- *                 description: Archivo de imagen del producto
+ *                 description: |
+ *                   Imagen JPEG, PNG o WebP (máximo 5 MB por defecto), o una URL como texto.
+ *                   Se generan variantes miniatura, mediana y grande en WebP y JPEG, sin metadatos EXIF.
  *     responses:
  *       201:
- *         description: Producto creado exitosamente
+ *         description: Producto creado exitosamente (imagen_variantes trae las URLs de cada variante)
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 15
+ *               codigo: "CEL-108"
+ *               nombre: "Smartphone XYZ"
+ *               precio: "799.99"
+ *               imagen_url: "/uploads/1717000000000-a1b2c3d4e5f6-grande.jpg"
+ *               imagen_variantes:
+ *                 miniatura: { ancho: 200, alto: 200, webp: "/uploads/1717000000000-a1b2c3d4e5f6-miniatura.webp", jpeg: "/uploads/1717000000000-a1b2c3d4e5f6-miniatura.jpg" }
+ *                 mediana: { ancho: 600, alto: 450, webp: "/uploads/1717000000000-a1b2c3d4e5f6-mediana.webp", jpeg: "/uploads/1717000000000-a1b2c3d4e5f6-mediana.jpg" }
+ *                 grande: { ancho: 1200, alto: 900, webp: "/uploads/1717000000000-a1b2c3d4e5f6-grande.webp", jpeg: "/uploads/1717000000000-a1b2c3d4e5f6-grande.jpg" }
  *       400:
- *         description: Datos inválidos o faltantes
+ *         description: Datos inválidos o faltantes (detalle por campo en `errores`)
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Datos inválidos"
+ *               errores:
+ *                 precio: "Debe ser un número mayor o igual a 0"
+ *                 precio_oferta: "Debe ser menor que precio"
+ *                 colour: "Campo no permitido"
+ *       413:
+ *         description: Imagen demasiado grande
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // POST /productos (archivo o URL)
 // -----------------------------
-app.post("/productos", upload.single("imagen"), async (req, res) => {
+app.post("/productos", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), recibirImagen, async (req, res) => {
+  const body = { ...(req.body || {}) };
+  if (req.file) {
+    delete body.imagen;
+    delete body.imagen_url;
+  }
+
+  const { valores, errores } = validarProducto(body);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ message: "Datos inválidos", errores });
+  }
+
+  let variantes = null;
+  const client = await pool.connect();
   try {
-    const {
-      codigo,
-      nombre,
-      descripcion,
-      categoria,
-      precio,
-      precio_oferta,
-      en_oferta,
-      stock,
-      stock_critico,
-    } = req.body;
-
-    const precioNum = precio ? Number(precio) : 0;
-    const precioOfertaNum = precio_oferta ? Number(precio_oferta) : null;
-    const stockNum = stock ? Number(stock) : 0;
-    const stockCriticoNum = stock_critico ? Number(stock_critico) : 0;
-    const enOfertaBool =
-      en_oferta === "true" || en_oferta === true || en_oferta === 1 || en_oferta === "1";
-
-    const imagen_url = req.file ? `/uploads/${req.file.filename}` : req.body.imagen || null;
+    // imagen_url queda como la principal de la galería (la variante grande en JPEG si se subió un archivo)
+    const { imagen_url: imagenUrl, ...campos } = valores;
+    let imagen = imagenUrl ? { url: imagenUrl, variantes: null } : null;
+    if (req.file) {
+      variantes = await procesarImagen(req.file);
+      imagen = { url: variantes.grande.jpeg, variantes };
+    }
 
-    const result = await pool.query(
-      `INSERT INTO producto
-      (codigo, nombre, descripcion, categoria, precio, precio_oferta, en_oferta, stock, stock_critico, imagen_url)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *;`,
-      [
-        codigo || null,
-        nombre || null,
-        descripcion || null,
-        categoria || null,
-        precioNum,
-        precioOfertaNum,
-        enOfertaBool,
-        stockNum,
-        stockCriticoNum,
-        imagen_url,
-      ]
+    await client.query("BEGIN");
+    // Las columnas vienen de CAMPOS_PRODUCTO, nunca del body
+    const columnas = Object.keys(campos);
+    const result = await client.query(
+      `INSERT INTO producto (${columnas.join(", ")})
+      VALUES (${columnas.map((c, i) => `$${i + 1}`).join(", ")}) RETURNING id;`,
+      columnas.map((c) => campos[c])
     );
+    const id = result.rows[0].id;
+    if (imagen) await agregarImagenes(client, id, [imagen]);
+    await client.query("COMMIT");
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(await obtenerProducto(pool, id));
   } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (variantes) await eliminarImagen(null, variantes);
+    if (err.status === 400) return res.status(400).json({ message: err.message, errores: { imagen: err.message } });
     console.error("Error POST /productos:", err.stack || err);
     res.status(500).json({ message: "Error creando producto", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+/**
+ * @swagger
+ * /productos/import:
+ *   post:
+ *     tags: [Productos]
+ *     summary: Importar productos desde CSV
+ *     description: |
+ *       Crea o actualiza productos según `codigo` (rol admin o vendedor).
+ *       Columnas: codigo, nombre, descripcion, categoria, precio, precio_oferta, en_oferta, stock, stock_critico, imagen_url
+ *       (se aceptan también los títulos de /productos/export; separador , o ;).
+ *       En una actualización las celdas vacías conservan el valor actual. La categoría debe existir en la tabla categoria.
+ *       Cada fila del reporte indica su acción: crear, actualizar, sin_cambios o rechazar (con sus errores).
+ *       Con dry_run=true solo se devuelve el reporte por fila. Si alguna fila se rechaza no se aplica ningún cambio;
+ *       si todas son válidas se aplican en una sola transacción.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [archivo]
+ *             properties:
+ *               archivo:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo CSV (máximo 5 MB y 5000 filas por defecto)
+ *     responses:
+ *       200:
+ *         description: Reporte de la importación (aplicada, o simulada con dry_run)
+ *         content:
+ *           application/json:
+ *             example:
+ *               dry_run: true
+ *               aplicado: false
+ *               resumen: { filas: 3, crear: 1, actualizar: 1, sin_cambios: 0, rechazar: 1 }
+ *               filas:
+ *                 - fila: 2
+ *                   codigo: "LAP-001"
+ *                   accion: "actualizar"
+ *                   id: 15
+ *                   cambios: { precio: 1199990, stock: 8 }
+ *                 - fila: 3
+ *                   codigo: "MOU-010"
+ *                   accion: "crear"
+ *                   cambios: { nombre: "Mouse Gamer", precio: 24990, categoria: "Accesorios" }
+ *                 - fila: 4
+ *                   codigo: "TEC-002"
+ *                   accion: "rechazar"
+ *                   errores: { categoria: "Categoría \"Teclados\" no existe" }
+ *       400:
+ *         description: Archivo faltante o ilegible, o filas rechazadas (se devuelve el reporte y no se aplica nada)
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       413:
+ *         description: Archivo demasiado grande
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// POST /productos/import (CSV)
+// -----------------------------
+app.post("/productos/import", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), (req, res, next) => {
+  uploadCsv.single("archivo")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ message: `El archivo supera ${IMPORT_MAX_BYTES} bytes` });
+    res.status(err.status || 400).json({ message: err.message });
+  });
+}, async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: "Archivo CSV requerido (campo archivo)" });
+  const dryRun = ["true", "1"].includes(String(req.query.dry_run ?? req.body.dry_run ?? "").toLowerCase());
+
+  let filas;
+  try {
+    filas = leerCsvProductos(req.file.buffer);
+  } catch (err) {
+    return res.status(400).json({ message: "CSV inválido", error: err.message });
+  }
+  if (filas.length === 0) return res.status(400).json({ message: "El CSV no tiene filas" });
+  if (filas.length > IMPORT_MAX_FILAS) return res.status(400).json({ message: `Máximo ${IMPORT_MAX_FILAS} filas por importación` });
+  const desconocidas = Object.keys(filas[0].datos).filter(c => c !== "id" && !COLUMNAS_IMPORT.includes(c));
+  if (desconocidas.length > 0) return res.status(400).json({ message: `Columnas desconocidas: ${desconocidas.join(", ")}` });
+  if (!("codigo" in filas[0].datos)) return res.status(400).json({ message: "Falta la columna codigo" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const categorias = new Map(
+      (await client.query("SELECT nombre FROM categoria")).rows.map(c => [claveTexto(c.nombre), c.nombre])
+    );
+
+    // Productos existentes de los códigos del archivo, bloqueados hasta el final de la importación
+    const codigos = [...new Set(filas.map(f => f.datos.codigo).filter(Boolean))];
+    const existentes = new Map();
+    const repetidosEnBd = new Set();
+    for (const p of (await client.query("SELECT * FROM producto WHERE codigo = ANY($1::text[]) ORDER BY id FOR UPDATE", [codigos])).rows) {
+      if (existentes.has(p.codigo)) repetidosEnBd.add(p.codigo);
+      existentes.set(p.codigo, p);
+    }
+
+    const vistos = new Set();
+    const reporte = filas.map(({ fila, datos }) => {
+      const existente = existentes.get(datos.codigo);
+      const { valores, errores } = validarFilaImport(datos, existente, categorias);
+      if (datos.codigo && vistos.has(datos.codigo)) errores.codigo = "Código repetido en el archivo";
+      if (repetidosEnBd.has(datos.codigo)) errores.codigo = "Hay más de un producto con este código";
+      vistos.add(datos.codigo);
+
+      if (Object.keys(errores).length > 0) return { fila, codigo: datos.codigo || null, accion: "rechazar", errores };
+      if (!existente) return { fila, codigo: valores.codigo, accion: "crear", cambios: valores };
+
+      const cambios = {};
+      for (const [campo, valor] of Object.entries(valores)) {
+        const actual = existente[campo];
+        const igual = typeof valor === "number" ? actual !== null && Number(actual) === valor : actual === valor;
+        if (!igual) cambios[campo] = valor;
+      }
+      return { fila, codigo: valores.codigo, accion: Object.keys(cambios).length ? "actualizar" : "sin_cambios", id: existente.id, cambios };
+    });
+
+    const resumen = { filas: reporte.length, crear: 0, actualizar: 0, sin_cambios: 0, rechazar: 0 };
+    reporte.forEach(r => { resumen[r.accion] += 1; });
+
+    if (dryRun || resumen.rechazar > 0) {
+      await client.query("ROLLBACK");
+      const cuerpo = { dry_run: dryRun, aplicado: false, resumen, filas: reporte };
+      if (resumen.rechazar > 0 && !dryRun) {
+        return res.status(400).json({ message: "Hay filas rechazadas; no se aplicó ningún cambio", ...cuerpo });
+      }
+      return res.json(cuerpo);
+    }
+
+    const reemplazadas = [];
+    for (const r of reporte) {
+      if (r.accion === "crear") {
+        const v = { precio_oferta: null, en_oferta: false, stock: 0, stock_critico: 0, descripcion: null, categoria: null, imagen_url: null, ...r.cambios };
+        const creado = await client.query(
+          `INSERT INTO producto
+          (codigo, nombre, descripcion, categoria, precio, precio_oferta, en_oferta, stock, stock_critico, imagen_url)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id;`,
+          [v.codigo, v.nombre, v.descripcion, v.categoria, v.precio, v.precio_oferta, v.en_oferta, v.stock, v.stock_critico, v.imagen_url]
+        );
+        r.id = creado.rows[0].id;
+        if (v.imagen_url) await agregarImagenes(client, r.id, [{ url: v.imagen_url, variantes: null }]);
+      } else if (r.accion === "actualizar") {
+        // Las columnas salen de COLUMNAS_IMPORT, nunca del archivo. La imagen cambia la principal de la galería.
+        const campos = Object.keys(r.cambios).filter(c => COLUMNAS_IMPORT.includes(c) && c !== "imagen_url");
+        if (campos.length > 0) {
+          await client.query(
+            `UPDATE producto SET ${campos.map((c, i) => `${c} = $${i + 1}`).join(", ")} WHERE id = $${campos.length + 1};`,
+            [...campos.map(c => r.cambios[c]), r.id]
+          );
+        }
+        if (r.cambios.imagen_url !== undefined) {
+          const anterior = await reemplazarPrincipal(client, r.id, r.cambios.imagen_url, null);
+          if (anterior) reemplazadas.push(anterior);
+        }
+      }
+    }
+    await client.query("COMMIT");
+
+    for (const imagen of reemplazadas) await descartarImagen(imagen.url, imagen.variantes);
+    res.json({ dry_run: false, aplicado: true, resumen, filas: reporte });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error POST /productos/import:", err.stack || err);
+    if (err.code === "23505") return res.status(409).json({ message: "Código duplicado al importar", error: err.detail });
+    res.status(500).json({ message: "Error importando productos", error: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -337,7 +1120,13 @@ app.post("/productos", upload.single("imagen"), async (req, res) => {
  *   put:
  *     tags: [Productos]
  *     summary: Actualizar producto existente
- *     description: Actualiza parcial o totalmente un producto, con opción de cambiar imagen
+ *     description: |
+ *       Actualiza parcial o totalmente un producto, con opción de cambiar imagen (rol admin o vendedor).
+ *       Mismas reglas que la creación; los campos que no vienen conservan su valor. La oferta se valida
+ *       con los valores resultantes (por ejemplo, activar en_oferta exige un precio_oferta vigente menor que precio).
+ *       Al reemplazar o quitar la imagen se borran los archivos anteriores si ningún otro producto los usa.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -351,66 +1140,397 @@ app.post("/productos", upload.single("imagen"), async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               codigo:
+ *                 type: string
  *               nombre:
  *                 type: string
+ *               descripcion:
+ *                 type: string
+ *               categoria:
+ *                 type: string
  *               precio:
  *                 type: number
+ *               precio_oferta:
+ *                 type: number
+ *               en_oferta:
+ *                 type: boolean
  *               stock:
  *                 type: integer
+ *               stock_critico:
+ *                 type: integer
  *               imagen:
  *                 type: string
  *                 format: binary
+ *                 description: Imagen JPEG, PNG o WebP (o una URL como texto)
  *     responses:
  *       200:
- *         description: Producto actualizado exitosamente
+ *         description: Producto actualizado exitosamente (con imagen_variantes si se subió una imagen)
  *       404:
  *         description: Producto no encontrado
  *       400:
- *         description: Datos inválidos
+ *         description: Datos inválidos (detalle por campo en `errores`)
+ *       413:
+ *         description: Imagen demasiado grande
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // PUT /productos/:id
 // -----------------------------
-app.put("/productos/:id", upload.single("imagen"), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const campos = { ...req.body };
+app.put("/productos/:id", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), recibirImagen, async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) return res.status(400).json({ message: "id debe ser un entero" });
+
+  const body = { ...(req.body || {}) };
+  if (req.file) {
+    delete body.imagen;
+    delete body.imagen_url;
+  }
 
-    if (campos.precio) campos.precio = Number(campos.precio);
-    if (campos.precio_oferta) campos.precio_oferta = Number(campos.precio_oferta);
-    if (campos.stock) campos.stock = Number(campos.stock);
-    if (campos.stock_critico) campos.stock_critico = Number(campos.stock_critico);
-    if (campos.en_oferta !== undefined)
-      campos.en_oferta = campos.en_oferta === "true" || campos.en_oferta === true;
+  let variantes = null;
+  const client = await pool.connect();
+  try {
+    // Antes de BEGIN, como en POST: no se retiene el bloqueo del producto mientras se procesa y sube la imagen
+    if (req.file) variantes = await procesarImagen(req.file);
 
-    if (req.file) {
-      campos.imagen_url = `/uploads/${req.file.filename}`;
-    } else if (campos.imagen) {
-      campos.imagen_url = campos.imagen;
-      delete campos.imagen;
+    await client.query("BEGIN");
+    const actualRes = await client.query("SELECT * FROM producto WHERE id = $1 FOR UPDATE", [id]);
+    if (actualRes.rows.length === 0) {
+      await client.query("ROLLBACK");
+      if (variantes) await eliminarImagen(null, variantes);
+      return res.status(404).json({ message: "No encontrado" });
     }
+    const actual = actualRes.rows[0];
 
-    const keys = Object.keys(campos);
-    if (keys.length === 0)
+    const { valores, errores } = validarProducto(body, { parcial: true, actual });
+    if (Object.keys(errores).length > 0) {
+      await client.query("ROLLBACK");
+      if (variantes) await eliminarImagen(null, variantes);
+      return res.status(400).json({ message: "Datos inválidos", errores });
+    }
+    if (Object.keys(valores).length === 0 && !req.file) {
+      await client.query("ROLLBACK");
       return res.status(400).json({ message: "No hay campos para actualizar" });
+    }
 
-    const sets = keys.map((k, i) => `${k} = $${i + 1}`).join(", ");
-    const values = keys.map((k) => campos[k]);
-
-    const result = await pool.query(
-      `UPDATE producto SET ${sets} WHERE id = $${values.length + 1} RETURNING *;`,
-      [...values, id]
-    );
+    // La imagen no se escribe en producto: reemplaza la principal de la galería, que se copia a imagen_url
+    const { imagen_url: imagenUrl, ...campos } = valores;
+    let imagen;
+    if (variantes) {
+      imagen = { url: variantes.grande.jpeg, variantes };
+    } else if (imagenUrl !== undefined && imagenUrl !== actual.imagen_url) {
+      imagen = { url: imagenUrl, variantes: null };
+    }
 
-    if (result.rows.length === 0)
-      return res.status(404).json({ message: "No encontrado" });
+    // Las columnas vienen de CAMPOS_PRODUCTO, nunca del body
+    const columnas = Object.keys(campos);
+    if (columnas.length > 0) {
+      const sets = columnas.map((c, i) => `${c} = $${i + 1}`).join(", ");
+      await client.query(`UPDATE producto SET ${sets} WHERE id = $${columnas.length + 1};`, [...columnas.map((c) => campos[c]), id]);
+    }
+    const anterior = imagen ? await reemplazarPrincipal(client, id, imagen.url, imagen.variantes) : null;
+    await client.query("COMMIT");
+    variantes = null; // ya quedaron en la galería: no borrarlas si algo falla después
 
-    res.json(result.rows[0]);
+    if (anterior) await descartarImagen(anterior.url, anterior.variantes);
+    res.json(await obtenerProducto(pool, id));
   } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (variantes) await eliminarImagen(null, variantes);
+    if (err.status === 400) return res.status(400).json({ message: err.message, errores: { imagen: err.message } });
     console.error("Error PUT /productos/:id", err.stack || err);
     res.status(500).json({ message: "Error actualizando producto", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+/**
+ * @swagger
+ * /productos/{id}/imagenes:
+ *   post:
+ *     tags: [Productos]
+ *     summary: Agregar imágenes a la galería
+ *     description: |
+ *       Sube una o varias imágenes (JPEG, PNG o WebP; hasta 10 por envío y 20 por producto por defecto) al final de la galería.
+ *       Cada una se guarda en variantes miniatura, mediana y grande en WebP y JPEG. Si el producto no tenía imagen,
+ *       la primera queda como principal (rol admin o vendedor).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [imagenes]
+ *             properties:
+ *               imagenes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Imágenes agregadas (con las URLs de sus variantes) y galería resultante
+ *         content:
+ *           application/json:
+ *             example:
+ *               imagenes:
+ *                 - id: 42
+ *                   orden: 3
+ *                   principal: false
+ *                   url: "/uploads/1717000000000-a1b2c3d4e5f6-grande.jpg"
+ *                   variantes:
+ *                     miniatura: { ancho: 200, alto: 200, webp: "/uploads/1717000000000-a1b2c3d4e5f6-miniatura.webp", jpeg: "/uploads/1717000000000-a1b2c3d4e5f6-miniatura.jpg" }
+ *                     mediana: { ancho: 600, alto: 450, webp: "/uploads/1717000000000-a1b2c3d4e5f6-mediana.webp", jpeg: "/uploads/1717000000000-a1b2c3d4e5f6-mediana.jpg" }
+ *                     grande: { ancho: 1200, alto: 900, webp: "/uploads/1717000000000-a1b2c3d4e5f6-grande.webp", jpeg: "/uploads/1717000000000-a1b2c3d4e5f6-grande.jpg" }
+ *               galeria: []
+ *       400:
+ *         description: Sin imágenes, archivo inválido o galería llena (no se agrega ninguna)
+ *       404:
+ *         description: Producto no encontrado
+ *       413:
+ *         description: Imagen demasiado grande
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// POST /productos/:id/imagenes (galería)
+// -----------------------------
+app.post("/productos/:id/imagenes", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), recibirGaleria, async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) return res.status(400).json({ message: "id debe ser un entero" });
+  if (!req.files || req.files.length === 0) return res.status(400).json({ message: "Debe enviar al menos una imagen (campo imagenes)" });
+
+  let procesadas = [];
+  const client = await pool.connect();
+  try {
+    for (const archivo of req.files) {
+      try {
+        procesadas.push(await procesarImagen(archivo));
+      } catch (err) {
+        if (err.status === 400) err.message = `${archivo.originalname}: ${err.message}`;
+        throw err;
+      }
+    }
+
+    await client.query("BEGIN");
+    const producto = await client.query("SELECT id FROM producto WHERE id = $1 FOR UPDATE", [id]);
+    if (producto.rows.length === 0) {
+      await client.query("ROLLBACK");
+      await Promise.all(procesadas.map((v) => eliminarImagen(null, v)));
+      return res.status(404).json({ message: "No encontrado" });
+    }
+    const agregadas = await agregarImagenes(client, id, procesadas.map((v) => ({ url: v.grande.jpeg, variantes: v })));
+    await client.query("COMMIT");
+    procesadas = [];
+
+    res.status(201).json({ imagenes: agregadas, galeria: await galeriaDe(pool, id) });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    await Promise.all(procesadas.map((v) => eliminarImagen(null, v)));
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error POST /productos/:id/imagenes", err.stack || err);
+    res.status(500).json({ message: "Error agregando imágenes", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+/**
+ * @swagger
+ * /productos/{id}/imagenes/orden:
+ *   put:
+ *     tags: [Productos]
+ *     summary: Reordenar la galería
+ *     description: Recibe los id de todas las imágenes del producto en el nuevo orden (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [42, 40, 41]
+ *     responses:
+ *       200:
+ *         description: Galería en el nuevo orden
+ *       400:
+ *         description: ids incompleto, repetido o con imágenes de otro producto
+ *       404:
+ *         description: Producto no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// PUT /productos/:id/imagenes/orden
+// -----------------------------
+app.put("/productos/:id/imagenes/orden", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) return res.status(400).json({ message: "id debe ser un entero" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const producto = await client.query("SELECT id FROM producto WHERE id = $1 FOR UPDATE", [id]);
+    if (producto.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "No encontrado" });
+    }
+    await reordenarGaleria(client, id, (req.body || {}).ids);
+    await client.query("COMMIT");
+
+    res.json({ galeria: await galeriaDe(pool, id) });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error PUT /productos/:id/imagenes/orden", err.stack || err);
+    res.status(500).json({ message: "Error reordenando imágenes", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+/**
+ * @swagger
+ * /productos/{id}/imagenes/{imagenId}/principal:
+ *   put:
+ *     tags: [Productos]
+ *     summary: Marcar imagen principal
+ *     description: La imagen principal se copia a imagen_url del producto (rol admin o vendedor)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imagenId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Galería actualizada
+ *       404:
+ *         description: Producto o imagen no encontrados
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// PUT /productos/:id/imagenes/:imagenId/principal
+// -----------------------------
+app.put("/productos/:id/imagenes/:imagenId/principal", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  const { id, imagenId } = req.params;
+  if (!/^\d+$/.test(id) || !/^\d+$/.test(imagenId)) return res.status(400).json({ message: "id e imagenId deben ser enteros" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const producto = await client.query("SELECT id FROM producto WHERE id = $1 FOR UPDATE", [id]);
+    if (producto.rows.length === 0 || !(await marcarPrincipal(client, id, imagenId))) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: producto.rows.length === 0 ? "No encontrado" : "Imagen no encontrada" });
+    }
+    await client.query("COMMIT");
+
+    res.json({ galeria: await galeriaDe(pool, id) });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error PUT /productos/:id/imagenes/:imagenId/principal", err.stack || err);
+    res.status(500).json({ message: "Error marcando imagen principal", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+/**
+ * @swagger
+ * /productos/{id}/imagenes/{imagenId}:
+ *   delete:
+ *     tags: [Productos]
+ *     summary: Eliminar imagen de la galería
+ *     description: |
+ *       Quita la imagen y borra sus archivos. Si era la principal, la siguiente según el orden pasa a serlo
+ *       (rol admin o vendedor).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imagenId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Imagen eliminada; se devuelve la galería resultante
+ *       404:
+ *         description: Producto o imagen no encontrados
+ *       500:
+ *         description: Error interno del servidor
+ */
+// -----------------------------
+// DELETE /productos/:id/imagenes/:imagenId
+// -----------------------------
+app.delete("/productos/:id/imagenes/:imagenId", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  const { id, imagenId } = req.params;
+  if (!/^\d+$/.test(id) || !/^\d+$/.test(imagenId)) return res.status(400).json({ message: "id e imagenId deben ser enteros" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const producto = await client.query("SELECT id FROM producto WHERE id = $1 FOR UPDATE", [id]);
+    const borrada = producto.rows.length > 0 ? await quitarImagen(client, id, imagenId) : null;
+    if (!borrada) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: producto.rows.length === 0 ? "No encontrado" : "Imagen no encontrada" });
+    }
+    await client.query("COMMIT");
+
+    await descartarImagen(borrada.url, borrada.variantes);
+    res.json({ ok: true, galeria: await galeriaDe(pool, id) });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error DELETE /productos/:id/imagenes/:imagenId", err.stack || err);
+    res.status(500).json({ message: "Error eliminando imagen", error: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -422,7 +1542,9 @@ app.put("/productos/:id", upload.single("imagen"), async (req, res) => {
  *   delete:
  *     tags: [Productos]
  *     summary: Eliminar producto
- *     description: Elimina permanentemente un producto del sistema
+ *     description: Elimina permanentemente un producto del sistema y los archivos de su imagen (rol admin)
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -443,16 +1565,28 @@ app.put("/productos/:id", upload.single("imagen"), async (req, res) => {
  *                   example: true
  *       404:
  *         description: Producto no encontrado
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
  *       500:
  *         description: Error interno del servidor
  */
 // -----------------------------
 // DELETE /productos/:id
 // -----------------------------
-app.delete("/productos/:id", async (req, res) => {
+app.delete("/productos/:id", politica(POLITICAS.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query("DELETE FROM producto WHERE id=$1", [id]);
+    // La galería se borra en cascada; la consulta de producto_imagen ve las filas de antes del DELETE
+    const result = await pool.query(
+      `WITH borrado AS (DELETE FROM producto WHERE id = $1 RETURNING id, imagen_url, imagen_variantes)
+       SELECT imagen_url AS url, imagen_variantes AS variantes FROM borrado
+       UNION
+       SELECT i.url, i.variantes FROM producto_imagen i JOIN borrado b ON b.id = i.producto_id`,
+      [id]
+    );
+    for (const imagen of result.rows) await descartarImagen(imagen.url, imagen.variantes);
     res.json({ ok: true });
   } catch (err) {
     console.error("Error DELETE /productos/:id", err.stack || err);
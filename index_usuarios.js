@@ -1,7 +1,13 @@
 const express = require("express");
 const cors = require("cors");
-const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const pool = require("./db");
+const { ROLES, ROLES_VALIDOS, POLITICAS, politica, firmarToken, leerTokenOpcional } = require("./auth");
+const { enviarCorreo } = require("./mailer");
+const { validarRun, normalizarRun } = require("./rut");
+const { validarRegionComuna, asegurarCatalogo } = require("./catalogo_regiones");
+const { listar, PARAMETROS_SWAGGER, ESQUEMA_PAGINA_SWAGGER } = require("./listados");
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 require("dotenv").config();
@@ -29,7 +35,14 @@ const swaggerOptions = {
         url: 'http://18.212.75.254:4002',
         description: 'Servidor AWS'
       }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      parameters: PARAMETROS_SWAGGER,
+      schemas: { Pagina: ESQUEMA_PAGINA_SWAGGER }
+    }
   },
   apis: ['./index_usuarios.js'] // Solo este archivo
 };
@@ -39,21 +52,13 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 // =======================================================
 
 
-const SECRET_KEY = process.env.JWT_SECRET || "CLAVE_SUPER_SECRETA";
-
-
-// Middleware JWT
-function verificarToken(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  if (!authHeader) return res.status(403).json({ message: "Token requerido" });
-
-  const token = authHeader.split(" ")[1];
-  jwt.verify(token, SECRET_KEY, (err, decoded) => {
-    if (err) return res.status(401).json({ message: "Token inválido" });
-    req.usuario = decoded.usuario;
-    next();
-  });
-}
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+const REFRESH_TOKEN_DIAS = Number(process.env.REFRESH_TOKEN_DIAS) || 30;
+const PASSWORD_MIN = 8;
+const VERIFICACION_HORAS = Number(process.env.VERIFICACION_HORAS) || 48;
+const RESET_MINUTOS = Number(process.env.RESET_MINUTOS) || 30;
+// URL del frontend donde el usuario abre los enlaces enviados por correo
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
 
 // Crear tabla y columnas necesarias si no existen
 (async () => {
@@ -78,6 +83,7 @@ function verificarToken(req, res, next) {
       { name: "comuna", type: "VARCHAR(50)" },
       { name: "departamento", type: "VARCHAR(50)" },
       { name: "indicacion", type: "TEXT" },
+      { name: "correo_verificado", type: "BOOLEAN DEFAULT FALSE" },
     ];
 
     for (let col of columnas) {
@@ -88,24 +94,412 @@ function verificarToken(req, res, next) {
     }
 
     console.log("Tabla 'usuario' verificada y columnas agregadas si era necesario.");
+
+    // Refresh tokens: solo se guarda el hash. Cada login abre una "familia";
+    // cada rotación marca el token anterior como reemplazado dentro de la misma familia.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_token (
+        id SERIAL PRIMARY KEY,
+        usuario_id INT NOT NULL REFERENCES usuario(id) ON DELETE CASCADE,
+        familia UUID NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expira TIMESTAMP NOT NULL,
+        creado TIMESTAMP DEFAULT NOW(),
+        reemplazado_por INT REFERENCES refresh_token(id),
+        revocado BOOLEAN DEFAULT FALSE
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_refresh_token_familia ON refresh_token (familia);`);
+    console.log("Tabla 'refresh_token' verificada/creada.");
+
+    // Tokens de un solo uso para verificación de correo y reseteo de contraseña
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS usuario_token (
+        id SERIAL PRIMARY KEY,
+        usuario_id INT NOT NULL REFERENCES usuario(id) ON DELETE CASCADE,
+        tipo VARCHAR(20) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expira TIMESTAMP NOT NULL,
+        creado TIMESTAMP DEFAULT NOW(),
+        usado_en TIMESTAMP
+      );
+    `);
+    console.log("Tabla 'usuario_token' verificada/creada.");
+
+    // Libreta de direcciones: como máximo una predeterminada por usuario
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS usuario_direccion (
+        id SERIAL PRIMARY KEY,
+        usuario_id INT NOT NULL REFERENCES usuario(id) ON DELETE CASCADE,
+        etiqueta VARCHAR(50),
+        direccion TEXT NOT NULL,
+        region VARCHAR(50) NOT NULL,
+        comuna VARCHAR(50) NOT NULL,
+        departamento VARCHAR(50),
+        indicacion TEXT,
+        predeterminada BOOLEAN DEFAULT FALSE,
+        creado TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS usuario_direccion_predeterminada
+      ON usuario_direccion (usuario_id) WHERE predeterminada;
+    `);
+    // Migra la dirección plana de usuarios que aún no tienen libreta
+    await pool.query(`
+      INSERT INTO usuario_direccion (usuario_id, etiqueta, direccion, region, comuna, departamento, indicacion, predeterminada)
+      SELECT u.id, 'Principal', u.direccion, u.region, u.comuna, u.departamento, u.indicacion, TRUE
+      FROM usuario u
+      WHERE u.direccion IS NOT NULL AND u.region IS NOT NULL AND u.comuna IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM usuario_direccion d WHERE d.usuario_id = u.id);
+    `);
+    console.log("Tabla 'usuario_direccion' verificada/creada.");
+
+    await migrarRuns();
   } catch (err) {
     console.error("Error creando/verificando tabla usuario:", err.stack || err);
   }
+
+  try {
+    await asegurarCatalogo(pool);
+    console.log("Catálogo 'region'/'comuna' verificado/sembrado.");
+  } catch (err) {
+    console.error("Error sembrando catálogo de regiones:", err.stack || err);
+  }
 })();
 
-// Helper para normalizar usuario
-function normalizarUsuario(row) {
-  const u = { ...row };
-  u.historialCompras = u.historial || [];
+// ============ RUN ÚNICO ============
+// Lleva los RUN existentes al formato canónico y crea el índice único.
+// Los RUN inválidos o duplicados se informan en consola para corregirlos a mano.
+async function migrarRuns() {
+  const result = await pool.query("SELECT id, run FROM usuario WHERE run IS NOT NULL");
+  const invalidos = [];
+  for (const row of result.rows) {
+    const canonico = normalizarRun(row.run);
+    if (!canonico) {
+      invalidos.push(row.id);
+    } else if (canonico !== row.run) {
+      try {
+        await pool.query("UPDATE usuario SET run=$1 WHERE id=$2", [canonico, row.id]);
+      } catch (e) {
+        console.warn(`No se pudo normalizar RUN del usuario ${row.id}:`, e.message);
+      }
+    }
+  }
+  if (invalidos.length) console.warn("Usuarios con RUN inválido (ids):", invalidos.join(", "));
+
+  try {
+    await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS usuario_run_unico ON usuario (run) WHERE run IS NOT NULL");
+  } catch (e) {
+    const dup = await pool.query("SELECT run, array_agg(id) AS ids FROM usuario WHERE run IS NOT NULL GROUP BY run HAVING COUNT(*) > 1");
+    console.warn("No se pudo crear índice único de RUN; duplicados:", JSON.stringify(dup.rows));
+  }
+}
+
+// Mensaje 409 según la restricción única violada
+function mensajeDuplicado(err) {
+  if (err.constraint === "usuario_run_unico") return "El RUN ya está registrado";
+  return "El correo ya está registrado";
+}
+
+// ============ REFRESH TOKENS ============
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Crea un refresh token nuevo (db puede ser el pool o un client en transacción)
+async function emitirRefreshToken(db, usuarioId, familia = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const result = await db.query(
+    `INSERT INTO refresh_token (usuario_id, familia, token_hash, expira)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+     RETURNING id;`,
+    [usuarioId, familia, hashToken(token), REFRESH_TOKEN_DIAS]
+  );
+  return { token, id: result.rows[0].id };
+}
+
+async function revocarFamilia(db, familia) {
+  await db.query("UPDATE refresh_token SET revocado = TRUE WHERE familia = $1", [familia]);
+}
+
+// ============ TOKENS DE UN SOLO USO (correo) ============
+const TIPO_TOKEN = { VERIFICACION: "verificacion", RESET: "reset" };
+
+// Emite un token nuevo e invalida los pendientes del mismo tipo
+async function emitirTokenCorreo(usuarioId, tipo, minutos) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    "UPDATE usuario_token SET usado_en = NOW() WHERE usuario_id = $1 AND tipo = $2 AND usado_en IS NULL",
+    [usuarioId, tipo]
+  );
+  await pool.query(
+    `INSERT INTO usuario_token (usuario_id, tipo, token_hash, expira)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [usuarioId, tipo, hashToken(token), minutos]
+  );
+  return token;
+}
+
+// Consume el token de forma atómica; devuelve el usuario_id o null si no es válido
+async function consumirTokenCorreo(token, tipo) {
+  if (!token) return null;
+  const result = await pool.query(
+    `UPDATE usuario_token SET usado_en = NOW()
+     WHERE token_hash = $1 AND tipo = $2 AND usado_en IS NULL AND expira > NOW()
+     RETURNING usuario_id`,
+    [hashToken(token), tipo]
+  );
+  return result.rows.length ? result.rows[0].usuario_id : null;
+}
+
+async function enviarVerificacion(userRow) {
+  const token = await emitirTokenCorreo(userRow.id, TIPO_TOKEN.VERIFICACION, VERIFICACION_HORAS * 60);
+  const enlace = `${APP_URL}/verificar-correo?token=${token}`;
+  await enviarCorreo({
+    para: userRow.correo,
+    asunto: "Verifica tu correo",
+    texto: `Hola ${userRow.nombre || ""},\n\nConfirma tu correo abriendo este enlace (válido ${VERIFICACION_HORAS} horas):\n${enlace}\n`,
+  });
+}
+
+async function enviarReset(userRow) {
+  const token = await emitirTokenCorreo(userRow.id, TIPO_TOKEN.RESET, RESET_MINUTOS);
+  const enlace = `${APP_URL}/restablecer-password?token=${token}`;
+  await enviarCorreo({
+    para: userRow.correo,
+    asunto: "Restablecer contraseña",
+    texto: `Hola ${userRow.nombre || ""},\n\nPara crear una nueva contraseña abre este enlace (válido ${RESET_MINUTOS} minutos):\n${enlace}\n\nSi no lo solicitaste, ignora este correo.\n`,
+  });
+}
+
+// Helper para normalizar usuario (nunca exponer el hash de la contraseña).
+// `historial` viene de historialesPorUsuario: la columna usuario.historial ya no se mantiene.
+function normalizarUsuario(row, historial = []) {
+  const { password, ...u } = row;
+  u.historial = historial;
+  u.historialCompras = historial;
   return u;
 }
 
+// ============ HASH DE CONTRASEÑAS ============
+// Los hashes bcrypt empiezan con $2a$, $2b$ o $2y$; cualquier otra cosa es
+// una contraseña antigua guardada en texto plano.
+function esHashBcrypt(valor) {
+  return typeof valor === "string" && /^\$2[aby]\$\d{2}\$/.test(valor);
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(String(password), BCRYPT_ROUNDS);
+}
+
+// Compara la contraseña recibida con la almacenada.
+// Devuelve { ok, rehash } donde rehash indica que la fila aún está en texto plano.
+async function verificarPassword(password, almacenada) {
+  if (!almacenada) return { ok: false, rehash: false };
+
+  if (esHashBcrypt(almacenada)) {
+    return { ok: await bcrypt.compare(String(password), almacenada), rehash: false };
+  }
+
+  // Fila legacy: comparación en tiempo constante sobre digest para no filtrar longitudes
+  const a = crypto.createHash("sha256").update(String(password)).digest();
+  const b = crypto.createHash("sha256").update(String(almacenada)).digest();
+  const ok = crypto.timingSafeEqual(a, b);
+  return { ok, rehash: ok };
+}
+
 // Convierte "" o undefined a null
 function normalizeEmptyToNull(val) {
   if (val === "" || val === undefined) return null;
   return val;
 }
 
+// ============ VALIDACIÓN DE PERFIL ============
+// Campos editables: columna, nombres aceptados en el body y reglas
+const CAMPOS_PERFIL = [
+  { columna: "run", claves: ["run"], max: 50, tipo: "run" },
+  { columna: "nombre", claves: ["nombre"], max: 100 },
+  { columna: "apellidos", claves: ["apellidos"], max: 100 },
+  { columna: "correo", claves: ["correo"], max: 100, tipo: "email", requerido: true },
+  { columna: "fecha_nacimiento", claves: ["fechaNacimiento", "fecha_nacimiento"], tipo: "fecha" },
+  { columna: "tipo_usuario", claves: ["tipoUsuario", "tipo_usuario"], tipo: "rol" },
+  { columna: "direccion", claves: ["direccion"], max: 300 },
+  { columna: "region", claves: ["region"], max: 50 },
+  { columna: "comuna", claves: ["comuna"], max: 50 },
+  { columna: "departamento", claves: ["departamento"], max: 50 },
+  { columna: "indicacion", claves: ["indicacion"], max: 300 },
+];
+
+// Libreta de direcciones (usuario_direccion)
+const CAMPOS_DIRECCION = [
+  { columna: "etiqueta", claves: ["etiqueta"], max: 50 },
+  { columna: "direccion", claves: ["direccion"], max: 300, requerido: true },
+  { columna: "region", claves: ["region"], max: 50, requerido: true },
+  { columna: "comuna", claves: ["comuna"], max: 50, requerido: true },
+  { columna: "departamento", claves: ["departamento"], max: 50 },
+  { columna: "indicacion", claves: ["indicacion"], max: 300 },
+];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Valida el body contra una lista de campos (CAMPOS_PERFIL, CAMPOS_DIRECCION).
+// Con parcial=true solo considera las claves presentes (update); si no, las ausentes quedan null (alta).
+// Devuelve { valores: { columna: valor }, errores: { columna: mensaje } }
+function validarCampos(campos, body, { parcial = false } = {}) {
+  const valores = {};
+  const errores = {};
+
+  for (const campo of campos) {
+    const clave = campo.claves.find((k) => body[k] !== undefined);
+    if (clave === undefined && parcial) continue;
+
+    let valor = normalizeEmptyToNull(clave === undefined ? undefined : body[clave]);
+    if (typeof valor === "string") valor = valor.trim() || null;
+
+    if (valor !== null) {
+      if (typeof valor !== "string") {
+        errores[campo.columna] = "Debe ser texto";
+        continue;
+      }
+      if (campo.max && valor.length > campo.max) {
+        errores[campo.columna] = `Máximo ${campo.max} caracteres`;
+        continue;
+      }
+      if (campo.tipo === "email" && !EMAIL_REGEX.test(valor)) {
+        errores[campo.columna] = "Correo inválido";
+        continue;
+      }
+      if (campo.tipo === "fecha") {
+        const fecha = new Date(`${valor}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(valor) || Number.isNaN(fecha.getTime())) {
+          errores[campo.columna] = "Fecha inválida (YYYY-MM-DD)";
+          continue;
+        }
+        if (fecha > new Date()) {
+          errores[campo.columna] = "La fecha no puede ser futura";
+          continue;
+        }
+      }
+      if (campo.tipo === "run") {
+        if (!validarRun(valor)) {
+          errores[campo.columna] = "RUN inválido (dígito verificador no coincide)";
+          continue;
+        }
+        valor = normalizarRun(valor);
+      }
+      if (campo.tipo === "rol") {
+        valor = valor.toLowerCase();
+        if (!ROLES_VALIDOS.includes(valor)) {
+          errores[campo.columna] = `Valor inválido (${ROLES_VALIDOS.join(", ")})`;
+          continue;
+        }
+      }
+    }
+
+    if (campo.requerido && valor === null) {
+      errores[campo.columna] = "Campo requerido";
+      continue;
+    }
+
+    valores[campo.columna] = valor;
+  }
+
+  return { valores, errores };
+}
+
+function validarPerfil(body, opciones) {
+  return validarCampos(CAMPOS_PERFIL, body, opciones);
+}
+
+// Valida region/comuna contra el catálogo y los deja con el nombre oficial.
+// En un update parcial, el valor que no viene se toma de la fila actual.
+function validarDireccion(valores, errores, actual = {}) {
+  if (valores.region === undefined && valores.comuna === undefined) return;
+  if (errores.region || errores.comuna) return;
+
+  const region = valores.region !== undefined ? valores.region : actual.region;
+  const comuna = valores.comuna !== undefined ? valores.comuna : actual.comuna;
+  const resultado = validarRegionComuna(region, comuna);
+  if (Object.keys(resultado.errores).length > 0) {
+    Object.assign(errores, resultado.errores);
+    return;
+  }
+  valores.region = resultado.region;
+  valores.comuna = resultado.comuna;
+}
+
+function validarPasswordNueva(password) {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN) {
+    return `La contraseña debe tener al menos ${PASSWORD_MIN} caracteres`;
+  }
+  return null;
+}
+
+// ============ LIBRETA DE DIRECCIONES ============
+// Las columnas planas de usuario (direccion, region, ...) reflejan la dirección predeterminada
+// para no romper a los clientes que aún las leen.
+async function reflejarPredeterminada(db, usuarioId) {
+  await db.query(
+    `UPDATE usuario SET (direccion, region, comuna, departamento, indicacion) = (
+       SELECT d.direccion, d.region, d.comuna, d.departamento, d.indicacion
+       FROM usuario_direccion d WHERE d.usuario_id = $1 AND d.predeterminada
+     ) WHERE id = $1`,
+    [usuarioId]
+  );
+}
+
+// Camino inverso: si el perfil trae una dirección completa, se guarda como predeterminada.
+// db es el client de la transacción que escribió el perfil, así usuario y dirección quedan juntos.
+async function perfilADireccion(db, userRow) {
+  if (!userRow.direccion || !userRow.region || !userRow.comuna) return;
+  const datos = [userRow.direccion, userRow.region, userRow.comuna, userRow.departamento, userRow.indicacion, userRow.id];
+  const result = await db.query(
+    `UPDATE usuario_direccion SET direccion=$1, region=$2, comuna=$3, departamento=$4, indicacion=$5
+     WHERE usuario_id = $6 AND predeterminada RETURNING id`,
+    datos
+  );
+  if (result.rows.length === 0) {
+    await db.query(
+      `INSERT INTO usuario_direccion (direccion, region, comuna, departamento, indicacion, usuario_id, etiqueta, predeterminada)
+       VALUES ($1, $2, $3, $4, $5, $6, 'Principal', TRUE)`,
+      datos
+    );
+  }
+}
+
+// Resumen de las boletas ligadas por user_id, agrupado por usuario (más recientes primero).
+// Se lee siempre de boleta para que refleje compras nuevas y boletas recién ligadas.
+async function historialesPorUsuario(usuarioIds) {
+  const porUsuario = new Map(usuarioIds.map((id) => [Number(id), []]));
+  if (usuarioIds.length === 0) return porUsuario;
+
+  let result;
+  try {
+    result = await pool.query(
+      `SELECT user_id, numero_compra, fecha, total FROM boleta
+       WHERE user_id = ANY($1::int[]) ORDER BY fecha DESC, numero_compra DESC`,
+      [usuarioIds.map(Number)]
+    );
+  } catch (err) {
+    // La tabla boleta la crea el servicio de boletas; si aún no existe nadie tiene compras
+    if (err.code === "42P01") return porUsuario;
+    throw err;
+  }
+  for (const b of result.rows) {
+    porUsuario.get(b.user_id).push({ numero_compra: b.numero_compra, fecha: b.fecha, total: Number(b.total) || 0 });
+  }
+  return porUsuario;
+}
+
+async function historialDe(usuarioId) {
+  return (await historialesPorUsuario([usuarioId])).get(Number(usuarioId));
+}
+
+async function usuarioConHistorial(row) {
+  return normalizarUsuario(row, await historialDe(row.id));
+}
+
 
 // ==================== RUTAS DOCUMENTADAS ====================
 /**
@@ -129,6 +523,7 @@ function normalizeEmptyToNull(val) {
  *                 example: "usuario@ejemplo.com"
  *               password:
  *                 type: string
+ *                 minLength: 8
  *                 example: "claveSegura123"
  *               nombre:
  *                 type: string
@@ -138,7 +533,8 @@ function normalizeEmptyToNull(val) {
  *                 example: "Pérez González"
  *               run:
  *                 type: string
- *                 example: "12.345.678-9"
+ *                 example: "12.345.678-5"
+ *                 description: Se valida el dígito verificador y se guarda como "12345678-5"
  *               fecha_nacimiento:
  *                 type: string
  *                 format: date
@@ -149,6 +545,11 @@ function normalizeEmptyToNull(val) {
  *               region:
  *                 type: string
  *                 example: "Metropolitana"
+ *                 description: Debe existir en GET /regiones (se guarda con el nombre oficial)
+ *               comuna:
+ *                 type: string
+ *                 example: "Ñuñoa"
+ *                 description: Debe pertenecer a la región indicada
  *     responses:
  *       201:
  *         description: Usuario creado exitosamente
@@ -163,9 +564,11 @@ function normalizeEmptyToNull(val) {
  *                 user:
  *                   type: object
  *       400:
- *         description: Datos requeridos faltantes
+ *         description: Datos requeridos faltantes o inválidos (detalle por campo en `errores`)
+ *       403:
+ *         description: Solo un admin puede asignar un tipo_usuario distinto de cliente
  *       409:
- *         description: El correo ya está registrado
+ *         description: El correo o el RUN ya están registrados
  *       500:
  *         description: Error interno del servidor
  */
@@ -173,38 +576,69 @@ function normalizeEmptyToNull(val) {
 // ====================== RUTAS ======================
 
 // REGISTER
-app.post("/usuarios/register", async (req, res) => {
+app.post("/usuarios/register", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
-    console.log("POST /usuarios/register body:", req.body);
     const body = req.body || {};
-    let run = normalizeEmptyToNull(body.run);
-    let nombre = normalizeEmptyToNull(body.nombre);
-    let apellidos = normalizeEmptyToNull(body.apellidos);
-    let correo = normalizeEmptyToNull(body.correo);
-    let password = normalizeEmptyToNull(body.password);
-    let fechaNacimiento = normalizeEmptyToNull(body.fechaNacimiento ?? body.fecha_nacimiento);
-    let tipoUsuario = normalizeEmptyToNull(body.tipoUsuario ?? body.tipo_usuario) || "cliente";
-    let direccion = normalizeEmptyToNull(body.direccion);
-    let region = normalizeEmptyToNull(body.region);
-    let comuna = normalizeEmptyToNull(body.comuna);
-    let departamento = normalizeEmptyToNull(body.departamento);
-    let indicacion = normalizeEmptyToNull(body.indicacion);
-
-    if (!correo || !password) return res.status(400).json({ message: "Correo y password requeridos" });
+    console.log("POST /usuarios/register body:", { ...body, password: body.password ? "***" : body.password });
+    const password = normalizeEmptyToNull(body.password);
 
-    const result = await pool.query(
-      `INSERT INTO usuario
-        (run, nombre, apellidos, correo, password, fecha_nacimiento, tipo_usuario, direccion, region, comuna, departamento, indicacion)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-       RETURNING *;`,
-      [run, nombre, apellidos, correo, password, fechaNacimiento, tipoUsuario, direccion, region, comuna, departamento, indicacion]
-    );
+    if (!normalizeEmptyToNull(body.correo) || !password) return res.status(400).json({ message: "Correo y password requeridos" });
+
+    const { valores, errores } = validarPerfil(body);
+    validarDireccion(valores, errores);
+    const errorPassword = validarPasswordNueva(password);
+    if (errorPassword) errores.password = errorPassword;
+    if (Object.keys(errores).length > 0) {
+      return res.status(400).json({ message: "Datos inválidos", errores });
+    }
+    const { run, nombre, apellidos, correo, fecha_nacimiento: fechaNacimiento, direccion, region, comuna, departamento, indicacion } = valores;
+    const tipoUsuario = valores.tipo_usuario || ROLES.CLIENTE;
+
+    // Solo un admin puede crear cuentas con rol distinto de cliente
+    if (tipoUsuario !== ROLES.CLIENTE) {
+      const auth = leerTokenOpcional(req);
+      if (!auth || auth.rol !== ROLES.ADMIN) {
+        return res.status(403).json({ message: "Solo un administrador puede asignar ese tipo de usuario" });
+      }
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    // Usuario y dirección en una transacción: si la dirección falla no queda la cuenta creada a medias
+    let userRow;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `INSERT INTO usuario
+          (run, nombre, apellidos, correo, password, fecha_nacimiento, tipo_usuario, direccion, region, comuna, departamento, indicacion)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+         RETURNING *;`,
+        [run, nombre, apellidos, correo, passwordHash, fechaNacimiento, tipoUsuario, direccion, region, comuna, departamento, indicacion]
+      );
+      userRow = result.rows[0];
+      await perfilADireccion(client, userRow);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const user = await usuarioConHistorial(userRow);
+
+    // El registro no falla si el correo no se pudo enviar; se puede reenviar después
+    try {
+      await enviarVerificacion(userRow);
+    } catch (e) {
+      console.error("No se pudo enviar correo de verificación:", e.message);
+    }
 
-    const user = normalizarUsuario(result.rows[0]);
     res.status(201).json({ ok: true, user });
   } catch (err) {
     console.error("Error POST /usuarios/register:", err.stack || err);
-    if (err.code === "23505") return res.status(409).json({ message: "Usuario ya existe" });
+    if (err.code === "23505") return res.status(409).json({ message: mensajeDuplicado(err) });
     res.status(500).json({ message: "Error en registro", error: err.message });
   }
 });
@@ -242,7 +676,11 @@ app.post("/usuarios/register", async (req, res) => {
  *               properties:
  *                 token:
  *                   type: string
+ *                   description: Token de acceso de corta duración (ACCESS_TOKEN_TTL)
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Token para renovar la sesión en /usuarios/refresh
  *                 user:
  *                   type: object
  *       401:
@@ -252,20 +690,32 @@ app.post("/usuarios/register", async (req, res) => {
  */
 
 // LOGIN
-app.post("/usuarios/login", async (req, res) => {
+app.post("/usuarios/login", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
-    const { correo, password } = req.body;
-    const result = await pool.query(
-      `SELECT * FROM usuario WHERE correo=$1 AND password=$2`,
-      [correo, password]
-    );
+    const { correo, password } = req.body || {};
+    if (!correo || !password) return res.status(401).json({ message: "Credenciales inválidas" });
+
+    const result = await pool.query(`SELECT * FROM usuario WHERE correo=$1`, [correo]);
     if (result.rows.length === 0) return res.status(401).json({ message: "Credenciales inválidas" });
 
     const userRow = result.rows[0];
-    const token = jwt.sign({ usuario: correo }, SECRET_KEY, { expiresIn: "8h" });
+    const { ok, rehash } = await verificarPassword(password, userRow.password);
+    if (!ok) return res.status(401).json({ message: "Credenciales inválidas" });
+
+    // Migración transparente: la contraseña en texto plano se reemplaza por su hash
+    if (rehash) {
+      try {
+        await pool.query("UPDATE usuario SET password=$1 WHERE id=$2", [await hashPassword(password), userRow.id]);
+      } catch (e) {
+        console.error("No se pudo migrar la contraseña del usuario", userRow.id, e.message);
+      }
+    }
+
+    const token = firmarToken(userRow);
+    const { token: refreshToken } = await emitirRefreshToken(pool, userRow.id);
 
-    const user = normalizarUsuario(userRow);
-    res.json({ token, user });
+    const user = await usuarioConHistorial(userRow);
+    res.json({ token, refreshToken, user });
   } catch (err) {
     console.error("Error POST /usuarios/login:", err.stack || err);
     res.status(500).json({ message: "Error en login", error: err.message });
@@ -275,91 +725,1363 @@ app.post("/usuarios/login", async (req, res) => {
 
 /**
  * @swagger
- * /usuarios:
- *   get:
- *     tags: [Usuarios]
- *     summary: Obtener todos los usuarios
- *     description: Lista todos los usuarios registrados (requiere permisos de administrador)
- *     security:
- *       - bearerAuth: []
+ * /usuarios/refresh:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Renovar token de acceso
+ *     description: |
+ *       Canjea un refresh token por un nuevo token de acceso y un nuevo refresh token (rotación).
+ *       Si se presenta un refresh token ya rotado o revocado, se revoca toda su familia.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Lista de usuarios
+ *         description: Tokens renovados
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   nombre:
- *                     type: string
- *                     example: "Juan"
- *                   correo:
- *                     type: string
- *                     example: "usuario@ejemplo.com"
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: refreshToken requerido
  *       401:
- *         description: Token inválido o no proporcionado
- *       403:
- *         description: No autorizado
+ *         description: Refresh token inválido, expirado o reutilizado
  *       500:
  *         description: Error interno del servidor
  */
 
-// GET USUARIOS (admin)
-app.get("/usuarios", verificarToken, async (req, res) => {
+// REFRESH
+app.post("/usuarios/refresh", politica(POLITICAS.PUBLICA), async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ message: "refreshToken requerido" });
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query("SELECT * FROM usuario ORDER BY id");
-    const usuarios = result.rows.map(normalizarUsuario);
-    res.json(usuarios);
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT rt.*, (rt.expira < NOW()) AS expirado
+       FROM refresh_token rt WHERE rt.token_hash = $1 FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(401).json({ message: "Refresh token inválido" });
+    }
+
+    const actual = result.rows[0];
+
+    // Reutilización de un token ya rotado/revocado: se asume robo y se mata la familia
+    if (actual.revocado || actual.reemplazado_por) {
+      await revocarFamilia(client, actual.familia);
+      await client.query("COMMIT");
+      console.warn(`Reutilización de refresh token detectada (usuario ${actual.usuario_id}); familia revocada`);
+      return res.status(401).json({ message: "Refresh token reutilizado, sesión revocada" });
+    }
+    if (actual.expirado) {
+      await client.query("ROLLBACK");
+      return res.status(401).json({ message: "Refresh token expirado" });
+    }
+
+    const userRes = await client.query("SELECT * FROM usuario WHERE id = $1", [actual.usuario_id]);
+    if (userRes.rows.length === 0) {
+      await revocarFamilia(client, actual.familia);
+      await client.query("COMMIT");
+      return res.status(401).json({ message: "Refresh token inválido" });
+    }
+
+    const nuevo = await emitirRefreshToken(client, actual.usuario_id, actual.familia);
+    await client.query("UPDATE refresh_token SET reemplazado_por = $1 WHERE id = $2", [nuevo.id, actual.id]);
+    await client.query("COMMIT");
+
+    res.json({ token: firmarToken(userRes.rows[0]), refreshToken: nuevo.token });
   } catch (err) {
-    console.error("Error GET /usuarios:", err.stack || err);
-    res.status(500).json({ message: "Error al obtener usuarios", error: err.message });
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error POST /usuarios/refresh:", err.stack || err);
+    res.status(500).json({ message: "Error renovando token", error: err.message });
+  } finally {
+    client.release();
   }
 });
 
 
 /**
  * @swagger
- * /usuarios/{id}:
- *   get:
- *     tags: [Usuarios]
- *     summary: Obtener usuario por ID
- *     description: Obtiene los detalles de un usuario específico
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID del usuario
+ * /usuarios/logout:
+ *   post:
+ *     tags: [Autenticación]
+ *     summary: Cerrar sesión
+ *     description: |
+ *       Revoca la familia del refresh token indicado. Con `todas: true` revoca todas las
+ *       sesiones del usuario dueño del token.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               todas:
+ *                 type: boolean
+ *                 example: false
  *     responses:
  *       200:
- *         description: Usuario encontrado
- *       404:
- *         description: Usuario no encontrado
- *       401:
- *         description: Token inválido
+ *         description: Sesión cerrada
+ *       400:
+ *         description: refreshToken requerido
+ *       500:
+ *         description: Error interno del servidor
  */
 
-// GET usuario por id
-app.get("/usuarios/:id", verificarToken, async (req, res) => {
+// LOGOUT
+app.post("/usuarios/logout", politica(POLITICAS.PUBLICA), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("SELECT * FROM usuario WHERE id=$1", [id]);
-    if (result.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
-    res.json(normalizarUsuario(result.rows[0]));
+    const { refreshToken, todas } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken requerido" });
+
+    const result = await pool.query(
+      "SELECT usuario_id, familia FROM refresh_token WHERE token_hash = $1",
+      [hashToken(refreshToken)]
+    );
+
+    // Token desconocido: la sesión ya no existe, logout es idempotente
+    if (result.rows.length > 0) {
+      const { usuario_id, familia } = result.rows[0];
+      if (todas === true || todas === "true") {
+        await pool.query("UPDATE refresh_token SET revocado = TRUE WHERE usuario_id = $1", [usuario_id]);
+      } else {
+        await revocarFamilia(pool, familia);
+      }
+    }
+
+    res.json({ ok: true });
   } catch (err) {
-    console.error("Error GET /usuarios/:id", err.stack || err);
-    res.status(500).json({ message: "Error al obtener usuario", error: err.message });
+    console.error("Error POST /usuarios/logout:", err.stack || err);
+    res.status(500).json({ message: "Error cerrando sesión", error: err.message });
   }
 });
 
-// UPDATE, DELETE y rutas de historial se mantienen igual...
+
+/**
+ * @swagger
+ * /usuarios/verificacion/enviar:
+ *   post:
+ *     tags: [Verificación]
+ *     summary: Reenviar correo de verificación
+ *     description: Responde siempre 200 para no revelar qué correos están registrados
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [correo]
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Si la cuenta existe y no está verificada, se envió el correo
+ *       400:
+ *         description: Correo requerido
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// REENVIAR VERIFICACIÓN
+app.post("/usuarios/verificacion/enviar", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const { correo } = req.body || {};
+    if (!correo) return res.status(400).json({ message: "Correo requerido" });
+
+    const result = await pool.query("SELECT * FROM usuario WHERE correo=$1", [correo]);
+    if (result.rows.length > 0 && !result.rows[0].correo_verificado) {
+      await enviarVerificacion(result.rows[0]);
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error POST /usuarios/verificacion/enviar:", err.stack || err);
+    res.status(500).json({ message: "Error enviando verificación", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/verificacion/confirmar:
+ *   post:
+ *     tags: [Verificación]
+ *     summary: Confirmar correo
+ *     description: Consume el token de verificación (un solo uso, con expiración)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Correo verificado
+ *       400:
+ *         description: Token inválido, usado o expirado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// CONFIRMAR VERIFICACIÓN
+app.post("/usuarios/verificacion/confirmar", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const usuarioId = await consumirTokenCorreo((req.body || {}).token, TIPO_TOKEN.VERIFICACION);
+    if (!usuarioId) return res.status(400).json({ message: "Token inválido o expirado" });
+
+    await pool.query("UPDATE usuario SET correo_verificado = TRUE WHERE id=$1", [usuarioId]);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error POST /usuarios/verificacion/confirmar:", err.stack || err);
+    res.status(500).json({ message: "Error verificando correo", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/password/olvido:
+ *   post:
+ *     tags: [Verificación]
+ *     summary: Solicitar reseteo de contraseña
+ *     description: Envía un enlace de reseteo. Responde siempre 200 para no revelar qué correos están registrados.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [correo]
+ *             properties:
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Si la cuenta existe, se envió el correo
+ *       400:
+ *         description: Correo requerido
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// OLVIDÉ MI CONTRASEÑA
+app.post("/usuarios/password/olvido", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const { correo } = req.body || {};
+    if (!correo) return res.status(400).json({ message: "Correo requerido" });
+
+    const result = await pool.query("SELECT * FROM usuario WHERE correo=$1", [correo]);
+    if (result.rows.length > 0) await enviarReset(result.rows[0]);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error POST /usuarios/password/olvido:", err.stack || err);
+    res.status(500).json({ message: "Error solicitando reseteo", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/password/reset:
+ *   post:
+ *     tags: [Verificación]
+ *     summary: Restablecer contraseña
+ *     description: |
+ *       Consume el token de reseteo (un solo uso, con expiración), guarda la nueva contraseña
+ *       y cierra todas las sesiones del usuario.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, passwordNueva]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               passwordNueva:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Token inválido/expirado o contraseña nueva inválida
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// RESET DE CONTRASEÑA
+app.post("/usuarios/password/reset", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const { token, passwordNueva } = req.body || {};
+
+    const errorPassword = validarPasswordNueva(passwordNueva);
+    if (errorPassword) return res.status(400).json({ message: "Datos inválidos", errores: { passwordNueva: errorPassword } });
+
+    const usuarioId = await consumirTokenCorreo(token, TIPO_TOKEN.RESET);
+    if (!usuarioId) return res.status(400).json({ message: "Token inválido o expirado" });
+
+    // Quien recibe el enlace controla el buzón: el correo queda verificado
+    await pool.query(
+      "UPDATE usuario SET password=$1, correo_verificado = TRUE WHERE id=$2",
+      [await hashPassword(passwordNueva), usuarioId]
+    );
+    await pool.query("UPDATE refresh_token SET revocado = TRUE WHERE usuario_id = $1", [usuarioId]);
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error POST /usuarios/password/reset:", err.stack || err);
+    res.status(500).json({ message: "Error restableciendo contraseña", error: err.message });
+  }
+});
+
+
+// Orden y filtros permitidos en GET /usuarios
+const LISTADO_USUARIOS = {
+  desde: "FROM usuario",
+  orden: {
+    id: { expr: "id", tipo: "int" },
+    nombre: { expr: "COALESCE(nombre, '')", tipo: "text" },
+    apellidos: { expr: "COALESCE(apellidos, '')", tipo: "text" },
+    correo: { expr: "correo", tipo: "text" },
+    tipo_usuario: { expr: "COALESCE(tipo_usuario, '')", tipo: "text" },
+  },
+  ordenDefecto: "id",
+  filtros: {
+    tipo_usuario: { tipo: "texto", sql: (v, p) => `tipo_usuario = ${p(v.toLowerCase())}` },
+    region: { tipo: "texto", sql: (v, p) => `LOWER(region) = LOWER(${p(v)})` },
+    comuna: { tipo: "texto", sql: (v, p) => `LOWER(comuna) = LOWER(${p(v)})` },
+    correo_verificado: { tipo: "booleano", sql: (v, p) => `COALESCE(correo_verificado, FALSE) = ${p(v)}` },
+  },
+};
+
+/**
+ * @swagger
+ * /usuarios:
+ *   get:
+ *     tags: [Usuarios]
+ *     summary: Obtener usuarios
+ *     description: Usuarios registrados, paginados y con filtros (requiere rol admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orden
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [id, -id, nombre, -nombre, apellidos, -apellidos, correo, -correo, tipo_usuario, -tipo_usuario]
+ *           default: id
+ *         description: Campo de orden; prefijo - para descendente
+ *       - in: query
+ *         name: tipo_usuario
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [admin, vendedor, cliente]
+ *       - in: query
+ *         name: region
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: comuna
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: correo_verificado
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: Página de usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Pagina'
+ *                 - type: object
+ *                   properties:
+ *                     datos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 1
+ *                           nombre:
+ *                             type: string
+ *                             example: "Juan"
+ *                           correo:
+ *                             type: string
+ *                             example: "usuario@ejemplo.com"
+ *       400:
+ *         description: Filtros, orden o paginación inválidos
+ *       401:
+ *         description: Token inválido o no proporcionado
+ *       403:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// GET USUARIOS (admin)
+app.get("/usuarios", politica(POLITICAS.ADMIN), async (req, res) => {
+  try {
+    const pagina = await listar(pool, LISTADO_USUARIOS, req.query);
+    const historiales = await historialesPorUsuario(pagina.datos.map((u) => u.id));
+    res.json({ ...pagina, datos: pagina.datos.map((u) => normalizarUsuario(u, historiales.get(u.id))) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error("Error GET /usuarios:", err.stack || err);
+    res.status(500).json({ message: "Error al obtener usuarios", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/run/{run}:
+ *   get:
+ *     tags: [Usuarios]
+ *     summary: Buscar usuario por RUN
+ *     description: Acepta el RUN en cualquier formato (con o sin puntos/guion). Rol admin o vendedor.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: run
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "12.345.678-5"
+ *     responses:
+ *       200:
+ *         description: Usuario encontrado
+ *       400:
+ *         description: RUN inválido
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Token requerido o rol no autorizado
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// GET usuario por RUN
+app.get("/usuarios/run/:run", politica(POLITICAS.AUTENTICADO, { roles: [ROLES.ADMIN, ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const run = normalizarRun(req.params.run);
+    if (!run) return res.status(400).json({ message: "RUN inválido" });
+
+    const result = await pool.query("SELECT * FROM usuario WHERE run=$1", [run]);
+    if (result.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+    res.json(await usuarioConHistorial(result.rows[0]));
+  } catch (err) {
+    console.error("Error GET /usuarios/run/:run", err.stack || err);
+    res.status(500).json({ message: "Error al obtener usuario", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}:
+ *   get:
+ *     tags: [Usuarios]
+ *     summary: Obtener usuario por ID
+ *     description: Obtiene los detalles de un usuario específico (el propio usuario o un admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario encontrado
+ *       404:
+ *         description: Usuario no encontrado
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta
+ */
+
+// GET usuario por id
+app.get("/usuarios/:id", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("SELECT * FROM usuario WHERE id=$1", [id]);
+    if (result.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+    res.json(await usuarioConHistorial(result.rows[0]));
+  } catch (err) {
+    console.error("Error GET /usuarios/:id", err.stack || err);
+    res.status(500).json({ message: "Error al obtener usuario", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}:
+ *   put:
+ *     tags: [Usuarios]
+ *     summary: Actualizar perfil de usuario
+ *     description: |
+ *       Actualiza los campos enviados del perfil (el propio usuario o un admin).
+ *       La contraseña se cambia en /usuarios/{id}/password; tipo_usuario solo lo cambia un admin.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               apellidos:
+ *                 type: string
+ *               correo:
+ *                 type: string
+ *                 format: email
+ *               run:
+ *                 type: string
+ *               fecha_nacimiento:
+ *                 type: string
+ *                 format: date
+ *               tipo_usuario:
+ *                 type: string
+ *                 enum: [admin, vendedor, cliente]
+ *               direccion:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               comuna:
+ *                 type: string
+ *               departamento:
+ *                 type: string
+ *               indicacion:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       400:
+ *         description: Datos inválidos (detalle por campo en `errores`)
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta o no puede cambiar tipo_usuario
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: El correo o el RUN ya están registrados
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// UPDATE usuario
+app.put("/usuarios/:id", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    if (body.password !== undefined) {
+      return res.status(400).json({ message: "Datos inválidos", errores: { password: "Use /usuarios/{id}/password" } });
+    }
+
+    const actualRes = await pool.query("SELECT correo, region, comuna FROM usuario WHERE id=$1", [id]);
+    if (actualRes.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+    const actual = actualRes.rows[0];
+
+    const { valores, errores } = validarPerfil(body, { parcial: true });
+    validarDireccion(valores, errores, actual);
+    if (Object.keys(errores).length > 0) {
+      return res.status(400).json({ message: "Datos inválidos", errores });
+    }
+    if (valores.tipo_usuario !== undefined && req.auth.rol !== ROLES.ADMIN) {
+      return res.status(403).json({ message: "Solo un administrador puede cambiar el tipo de usuario" });
+    }
+
+    if (Object.keys(valores).length === 0) return res.status(400).json({ message: "No hay campos para actualizar" });
+
+    // Un correo nuevo debe verificarse otra vez
+    if (valores.correo !== undefined && actual.correo !== valores.correo) valores.correo_verificado = false;
+    const columnas = Object.keys(valores);
+
+    // Las columnas vienen de CAMPOS_PERFIL, nunca del body
+    const sets = columnas.map((c, i) => `${c} = $${i + 1}`).join(", ");
+    let result;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      result = await client.query(
+        `UPDATE usuario SET ${sets} WHERE id = $${columnas.length + 1} RETURNING *;`,
+        [...columnas.map((c) => valores[c]), id]
+      );
+      if (result.rows.length > 0 && ["direccion", "region", "comuna", "departamento", "indicacion"].some((c) => valores[c] !== undefined)) {
+        await perfilADireccion(client, result.rows[0]);
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    if (result.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+
+    if (valores.correo_verificado === false) {
+      try {
+        await enviarVerificacion(result.rows[0]);
+      } catch (e) {
+        console.error("No se pudo enviar correo de verificación:", e.message);
+      }
+    }
+
+    res.json(await usuarioConHistorial(result.rows[0]));
+  } catch (err) {
+    console.error("Error PUT /usuarios/:id", err.stack || err);
+    if (err.code === "23505") return res.status(409).json({ message: mensajeDuplicado(err) });
+    res.status(500).json({ message: "Error al actualizar usuario", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}/password:
+ *   put:
+ *     tags: [Usuarios]
+ *     summary: Cambiar contraseña
+ *     description: |
+ *       El propio usuario debe enviar su contraseña actual. Un admin puede omitirla.
+ *       Al cambiarla se cierran todas las sesiones (refresh tokens) del usuario.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [passwordNueva]
+ *             properties:
+ *               passwordActual:
+ *                 type: string
+ *               passwordNueva:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada
+ *       400:
+ *         description: Contraseña nueva inválida
+ *       401:
+ *         description: Token inválido o contraseña actual incorrecta
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// CAMBIAR PASSWORD
+app.put("/usuarios/:id/password", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { passwordActual, passwordNueva } = req.body || {};
+
+    const errorPassword = validarPasswordNueva(passwordNueva);
+    if (errorPassword) return res.status(400).json({ message: "Datos inválidos", errores: { passwordNueva: errorPassword } });
+
+    const result = await pool.query("SELECT id, password FROM usuario WHERE id=$1", [id]);
+    if (result.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+
+    const esPropio = String(req.auth.id) === String(id);
+    if (esPropio || req.auth.rol !== ROLES.ADMIN) {
+      const { ok } = await verificarPassword(passwordActual || "", result.rows[0].password);
+      if (!ok) return res.status(401).json({ message: "Contraseña actual incorrecta" });
+    }
+
+    await pool.query("UPDATE usuario SET password=$1 WHERE id=$2", [await hashPassword(passwordNueva), id]);
+    await pool.query("UPDATE refresh_token SET revocado = TRUE WHERE usuario_id = $1", [id]);
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error PUT /usuarios/:id/password", err.stack || err);
+    res.status(500).json({ message: "Error al cambiar contraseña", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}:
+ *   delete:
+ *     tags: [Usuarios]
+ *     summary: Eliminar cuenta
+ *     description: |
+ *       Elimina la cuenta (el propio usuario o un admin). El propio usuario debe confirmar con su contraseña.
+ *       Las boletas se conservan para la contabilidad.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Usuario eliminado
+ *       401:
+ *         description: Token inválido o contraseña incorrecta
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// DELETE usuario
+app.delete("/usuarios/:id", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query("SELECT id, password FROM usuario WHERE id=$1", [id]);
+    if (result.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+
+    if (String(req.auth.id) === String(id)) {
+      const { ok } = await verificarPassword((req.body || {}).password || "", result.rows[0].password);
+      if (!ok) return res.status(401).json({ message: "Contraseña incorrecta" });
+    }
+
+    // refresh_token se borra en cascada
+    await pool.query("DELETE FROM usuario WHERE id=$1", [id]);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error DELETE /usuarios/:id", err.stack || err);
+    res.status(500).json({ message: "Error al eliminar usuario", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}/historial:
+ *   get:
+ *     tags: [Historial]
+ *     summary: Historial de compras del usuario
+ *     description: Boletas ligadas al usuario por user_id (más recientes primero).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Historial de compras
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   numero_compra:
+ *                     type: integer
+ *                     example: 1001
+ *                   fecha:
+ *                     type: string
+ *                     format: date-time
+ *                   total:
+ *                     type: number
+ *                     example: 1399.97
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// GET historial
+app.get("/usuarios/:id/historial", politica(POLITICAS.PROPIETARIO, { param: "id", roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existe = await pool.query("SELECT id FROM usuario WHERE id=$1", [id]);
+    if (existe.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+
+    res.json(await historialDe(id));
+  } catch (err) {
+    console.error("Error GET /usuarios/:id/historial", err.stack || err);
+    res.status(500).json({ message: "Error al obtener historial", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}/historial:
+ *   post:
+ *     tags: [Historial]
+ *     summary: Ligar una boleta al usuario
+ *     description: |
+ *       Asocia una boleta sin usuario (compra como invitado) cuyo comprador.correo coincide con el del usuario
+ *       y devuelve el historial. Requiere el correo verificado. Si la boleta ya es del usuario solo devuelve el historial.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [numero_compra]
+ *             properties:
+ *               numero_compra:
+ *                 type: integer
+ *                 example: 1001
+ *     responses:
+ *       200:
+ *         description: Historial actualizado
+ *       400:
+ *         description: numero_compra requerido
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: Correo sin verificar, o la boleta pertenece a otro usuario o a otro correo
+ *       404:
+ *         description: Usuario o boleta no encontrados
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// POST historial (ligar boleta)
+app.post("/usuarios/:id/historial", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const numero = Number((req.body || {}).numero_compra);
+    if (!numero) return res.status(400).json({ message: "numero_compra requerido" });
+
+    const userRes = await pool.query("SELECT id, correo, correo_verificado FROM usuario WHERE id=$1", [id]);
+    if (userRes.rows.length === 0) return res.status(404).json({ message: "Usuario no encontrado" });
+    const usuario = userRes.rows[0];
+
+    const boletaRes = await pool.query("SELECT user_id FROM boleta WHERE numero_compra=$1", [numero]);
+    if (boletaRes.rows.length === 0) return res.status(404).json({ message: "Boleta no encontrada" });
+
+    const boleta = boletaRes.rows[0];
+    if (boleta.user_id === null) {
+      // Solo un correo verificado demuestra que el usuario es el comprador invitado
+      if (!usuario.correo_verificado) {
+        return res.status(403).json({ message: "Verifica tu correo antes de ligar compras" });
+      }
+      // Dueño y correo se comprueban en la misma sentencia: dos usuarios no pueden ligar la misma boleta
+      const ligada = await pool.query(
+        `UPDATE boleta SET user_id=$1
+         WHERE numero_compra=$2 AND user_id IS NULL AND LOWER(comprador->>'correo') = LOWER($3)
+         RETURNING numero_compra`,
+        [id, numero, usuario.correo]
+      );
+      if (ligada.rows.length === 0) {
+        return res.status(403).json({ message: "La boleta no corresponde al correo del usuario" });
+      }
+    } else if (String(boleta.user_id) !== String(id)) {
+      return res.status(403).json({ message: "La boleta pertenece a otro usuario" });
+    }
+
+    res.json(await historialDe(id));
+  } catch (err) {
+    console.error("Error POST /usuarios/:id/historial", err.stack || err);
+    res.status(500).json({ message: "Error al actualizar historial", error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Direccion:
+ *       type: object
+ *       properties:
+ *         etiqueta:
+ *           type: string
+ *           example: "Oficina"
+ *         direccion:
+ *           type: string
+ *           example: "Av. Providencia 1234"
+ *         region:
+ *           type: string
+ *           example: "Metropolitana"
+ *         comuna:
+ *           type: string
+ *           example: "Providencia"
+ *         departamento:
+ *           type: string
+ *           example: "Of. 501"
+ *         indicacion:
+ *           type: string
+ *           example: "Recepción piso 5"
+ *         predeterminada:
+ *           type: boolean
+ *           example: false
+ */
+
+/**
+ * @swagger
+ * /usuarios/{id}/direcciones:
+ *   get:
+ *     tags: [Direcciones]
+ *     summary: Listar direcciones del usuario
+ *     description: La predeterminada aparece primero
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Direcciones del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Direccion'
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       500:
+ *         description: Error interno del servidor
+ *   post:
+ *     tags: [Direcciones]
+ *     summary: Agregar dirección
+ *     description: La primera dirección del usuario queda como predeterminada
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Direccion'
+ *               - required: [direccion, region, comuna]
+ *     responses:
+ *       201:
+ *         description: Dirección creada
+ *       400:
+ *         description: Datos inválidos (detalle por campo en `errores`)
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// GET direcciones
+app.get("/usuarios/:id/direcciones", politica(POLITICAS.PROPIETARIO, { param: "id", roles: [ROLES.VENDEDOR] }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM usuario_direccion WHERE usuario_id=$1 ORDER BY predeterminada DESC, id",
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error GET /usuarios/:id/direcciones", err.stack || err);
+    res.status(500).json({ message: "Error al obtener direcciones", error: err.message });
+  }
+});
+
+// POST direccion
+app.post("/usuarios/:id/direcciones", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+
+  const { valores, errores } = validarCampos(CAMPOS_DIRECCION, body);
+  validarDireccion(valores, errores);
+  if (Object.keys(errores).length > 0) {
+    return res.status(400).json({ message: "Datos inválidos", errores });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const existe = await client.query("SELECT id FROM usuario WHERE id=$1 FOR UPDATE", [id]);
+    if (existe.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Usuario no encontrado" });
+    }
+
+    const cantidad = await client.query("SELECT COUNT(*)::int AS n FROM usuario_direccion WHERE usuario_id=$1", [id]);
+    const predeterminada = cantidad.rows[0].n === 0 || body.predeterminada === true || body.predeterminada === "true";
+    if (predeterminada) {
+      await client.query("UPDATE usuario_direccion SET predeterminada = FALSE WHERE usuario_id=$1", [id]);
+    }
+
+    const result = await client.query(
+      `INSERT INTO usuario_direccion (usuario_id, etiqueta, direccion, region, comuna, departamento, indicacion, predeterminada)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *;`,
+      [id, valores.etiqueta, valores.direccion, valores.region, valores.comuna, valores.departamento, valores.indicacion, predeterminada]
+    );
+    if (predeterminada) await reflejarPredeterminada(client, id);
+
+    await client.query("COMMIT");
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error POST /usuarios/:id/direcciones", err.stack || err);
+    res.status(500).json({ message: "Error al crear dirección", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+/**
+ * @swagger
+ * /usuarios/{id}/direcciones/{direccionId}:
+ *   put:
+ *     tags: [Direcciones]
+ *     summary: Actualizar dirección
+ *     description: Actualiza los campos enviados. Con predeterminada=true pasa a ser la dirección por defecto.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: direccionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Direccion'
+ *     responses:
+ *       200:
+ *         description: Dirección actualizada
+ *       400:
+ *         description: Datos inválidos (detalle por campo en `errores`)
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       404:
+ *         description: Dirección no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ *   delete:
+ *     tags: [Direcciones]
+ *     summary: Eliminar dirección
+ *     description: Si era la predeterminada, la más antigua de las restantes pasa a serlo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: direccionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dirección eliminada
+ *       401:
+ *         description: Token inválido
+ *       403:
+ *         description: No es el dueño de la cuenta
+ *       404:
+ *         description: Dirección no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// PUT direccion
+app.put("/usuarios/:id/direcciones/:direccionId", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  const { id, direccionId } = req.params;
+  const body = req.body || {};
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const actualRes = await client.query(
+      "SELECT * FROM usuario_direccion WHERE id=$1 AND usuario_id=$2 FOR UPDATE",
+      [direccionId, id]
+    );
+    if (actualRes.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Dirección no encontrada" });
+    }
+    const actual = actualRes.rows[0];
+
+    const { valores, errores } = validarCampos(CAMPOS_DIRECCION, body, { parcial: true });
+    validarDireccion(valores, errores, actual);
+    if (Object.keys(errores).length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Datos inválidos", errores });
+    }
+
+    if (body.predeterminada === true || body.predeterminada === "true") {
+      await client.query("UPDATE usuario_direccion SET predeterminada = FALSE WHERE usuario_id=$1", [id]);
+      valores.predeterminada = true;
+    }
+
+    const columnas = Object.keys(valores);
+    if (columnas.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "No hay campos para actualizar" });
+    }
+
+    // Las columnas vienen de CAMPOS_DIRECCION, nunca del body
+    const sets = columnas.map((c, i) => `${c} = $${i + 1}`).join(", ");
+    const result = await client.query(
+      `UPDATE usuario_direccion SET ${sets} WHERE id = $${columnas.length + 1} RETURNING *;`,
+      [...columnas.map((c) => valores[c]), direccionId]
+    );
+    if (result.rows[0].predeterminada) await reflejarPredeterminada(client, id);
+
+    await client.query("COMMIT");
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error PUT /usuarios/:id/direcciones/:direccionId", err.stack || err);
+    res.status(500).json({ message: "Error al actualizar dirección", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE direccion
+app.delete("/usuarios/:id/direcciones/:direccionId", politica(POLITICAS.PROPIETARIO, { param: "id" }), async (req, res) => {
+  const { id, direccionId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "DELETE FROM usuario_direccion WHERE id=$1 AND usuario_id=$2 RETURNING predeterminada",
+      [direccionId, id]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Dirección no encontrada" });
+    }
+
+    if (result.rows[0].predeterminada) {
+      await client.query(
+        `UPDATE usuario_direccion SET predeterminada = TRUE
+         WHERE id = (SELECT id FROM usuario_direccion WHERE usuario_id=$1 ORDER BY id LIMIT 1)`,
+        [id]
+      );
+      await reflejarPredeterminada(client, id);
+    }
+
+    await client.query("COMMIT");
+    res.json({ ok: true });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error DELETE /usuarios/:id/direcciones/:direccionId", err.stack || err);
+    res.status(500).json({ message: "Error al eliminar dirección", error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+/**
+ * @swagger
+ * /regiones:
+ *   get:
+ *     tags: [Regiones]
+ *     summary: Listar regiones de Chile
+ *     description: Catálogo de referencia ordenado de norte a sur
+ *     responses:
+ *       200:
+ *         description: Lista de regiones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 13
+ *                   codigo:
+ *                     type: string
+ *                     example: "XIII"
+ *                   nombre:
+ *                     type: string
+ *                     example: "Metropolitana de Santiago"
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// GET regiones
+app.get("/regiones", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const result = await pool.query("SELECT id, codigo, nombre FROM region ORDER BY orden");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error GET /regiones", err.stack || err);
+    res.status(500).json({ message: "Error al obtener regiones", error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * /regiones/{id}/comunas:
+ *   get:
+ *     tags: [Regiones]
+ *     summary: Listar comunas de una región
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 13
+ *     responses:
+ *       200:
+ *         description: Comunas de la región ordenadas por nombre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 120
+ *                   nombre:
+ *                     type: string
+ *                     example: "Ñuñoa"
+ *       404:
+ *         description: Región no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+// GET comunas de una región
+app.get("/regiones/:id/comunas", politica(POLITICAS.PUBLICA), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ message: "Región no encontrada" });
+
+    const region = await pool.query("SELECT id FROM region WHERE id=$1", [id]);
+    if (region.rows.length === 0) return res.status(404).json({ message: "Región no encontrada" });
+
+    const result = await pool.query("SELECT id, nombre FROM comuna WHERE region_id=$1 ORDER BY nombre", [id]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error GET /regiones/:id/comunas", err.stack || err);
+    res.status(500).json({ message: "Error al obtener comunas", error: err.message });
+  }
+});
 
 app.listen(PORT, () => console.log(`Usuarios API corriendo en puerto ${PORT}`));
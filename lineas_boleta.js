@@ -0,0 +1,114 @@
+// lineas_boleta.js
+// Líneas de boleta en la tabla relacional boleta_detalle (una fila por ítem)
+// (compartido por Boletas y DetalleBoleta)
+
+const { redondear } = require("./montos");
+
+// Tabla boleta_detalle + migración desde boleta.productos (idempotente).
+// No hay FK a producto: la línea es una foto de la venta y debe sobrevivir aunque el producto se borre.
+async function asegurarLineas(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS boleta_detalle (
+      id SERIAL PRIMARY KEY,
+      boleta_id INT NOT NULL REFERENCES boleta(id) ON DELETE CASCADE,
+      linea INT NOT NULL,
+      producto_id INT,
+      codigo VARCHAR(100),
+      nombre TEXT,
+      precio_lista NUMERIC,
+      precio NUMERIC NOT NULL,
+      cantidad INT NOT NULL CHECK (cantidad > 0),
+      descuento NUMERIC NOT NULL DEFAULT 0,
+      subtotal NUMERIC NOT NULL,
+      UNIQUE (boleta_id, linea)
+    );
+  `);
+  // Mismo largo que producto.codigo (las tablas creadas antes tenían VARCHAR(50))
+  await pool.query(`ALTER TABLE boleta_detalle ALTER COLUMN codigo TYPE VARCHAR(100);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_boleta_detalle_producto ON boleta_detalle (producto_id);`);
+
+  // Backfill de boletas que aún no tienen líneas. El JSONB antiguo no tiene forma fija:
+  // ids o montos no numéricos quedan en NULL/0 y una cantidad ausente o inválida cuenta como 1.
+  await pool.query(`
+    INSERT INTO boleta_detalle (boleta_id, linea, producto_id, codigo, nombre, precio_lista, precio, cantidad, descuento, subtotal)
+    SELECT b.id, l.linea, l.producto_id, l.codigo, l.nombre, l.precio_lista, l.precio, l.cantidad,
+           CASE WHEN l.precio_lista > l.precio THEN ROUND((l.precio_lista - l.precio) * l.cantidad, 2) ELSE 0 END,
+           COALESCE(l.subtotal, ROUND(l.precio * l.cantidad, 2))
+    FROM boleta b
+    CROSS JOIN LATERAL (
+      SELECT e.ord AS linea,
+             CASE WHEN COALESCE(e.item->>'id', e.item->>'producto_id') ~ '^[0-9]{1,9}$'
+                  THEN COALESCE(e.item->>'id', e.item->>'producto_id')::int END AS producto_id,
+             LEFT(e.item->>'codigo', 100) AS codigo,
+             e.item->>'nombre' AS nombre,
+             CASE WHEN e.item->>'precio_lista' ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN (e.item->>'precio_lista')::numeric END AS precio_lista,
+             CASE WHEN e.item->>'precio' ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN (e.item->>'precio')::numeric ELSE 0 END AS precio,
+             CASE WHEN e.item->>'cantidad' ~ '^[0-9]{1,9}$' AND (e.item->>'cantidad')::int > 0
+                  THEN (e.item->>'cantidad')::int ELSE 1 END AS cantidad,
+             CASE WHEN e.item->>'subtotal' ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN (e.item->>'subtotal')::numeric END AS subtotal
+      FROM jsonb_array_elements(b.productos) WITH ORDINALITY AS e(item, ord)
+      WHERE jsonb_typeof(e.item) = 'object'
+    ) l
+    WHERE jsonb_typeof(b.productos) = 'array'
+      AND NOT EXISTS (SELECT 1 FROM boleta_detalle d WHERE d.boleta_id = b.id)
+    ON CONFLICT (boleta_id, linea) DO NOTHING;
+  `);
+}
+
+// Inserta las líneas calculadas al crear la boleta (db suele ser el client de la transacción)
+async function insertarLineas(db, boletaId, lineas) {
+  if (lineas.length === 0) return;
+
+  const valores = [];
+  const params = [];
+  lineas.forEach((l, i) => {
+    const cantidad = Number(l.cantidad) || 1;
+    const precio = Number(l.precio) || 0;
+    const precioLista = l.precio_lista !== undefined && l.precio_lista !== null ? Number(l.precio_lista) : null;
+    const descuento = precioLista !== null && precioLista > precio ? redondear((precioLista - precio) * cantidad) : 0;
+    const subtotal = l.subtotal !== undefined ? Number(l.subtotal) : redondear(precio * cantidad);
+
+    const base = params.length;
+    valores.push(`(${Array.from({ length: 10 }, (_, k) => `$${base + k + 1}`).join(", ")})`);
+    params.push(boletaId, i + 1, l.id ?? null, l.codigo ?? null, l.nombre ?? null, precioLista, precio, cantidad, descuento, subtotal);
+  });
+
+  await db.query(
+    `INSERT INTO boleta_detalle (boleta_id, linea, producto_id, codigo, nombre, precio_lista, precio, cantidad, descuento, subtotal)
+     VALUES ${valores.join(", ")};`,
+    params
+  );
+}
+
+// Fila de boleta_detalle con montos numéricos. Conserva `id` = producto como en el JSONB histórico.
+function normalizarLinea(row) {
+  return {
+    linea: row.linea,
+    id: row.producto_id,
+    codigo: row.codigo,
+    nombre: row.nombre,
+    precio_lista: row.precio_lista === null ? null : Number(row.precio_lista),
+    precio: Number(row.precio) || 0,
+    cantidad: row.cantidad,
+    descuento: Number(row.descuento) || 0,
+    subtotal: Number(row.subtotal) || 0,
+  };
+}
+
+// Líneas de varias boletas, agrupadas por boleta_id y en orden de línea
+async function lineasPorBoleta(db, boletaIds) {
+  const porBoleta = new Map();
+  if (boletaIds.length === 0) return porBoleta;
+
+  const result = await db.query(
+    "SELECT * FROM boleta_detalle WHERE boleta_id = ANY($1::int[]) ORDER BY boleta_id, linea",
+    [boletaIds]
+  );
+  for (const row of result.rows) {
+    if (!porBoleta.has(row.boleta_id)) porBoleta.set(row.boleta_id, []);
+    porBoleta.get(row.boleta_id).push(normalizarLinea(row));
+  }
+  return porBoleta;
+}
+
+module.exports = { asegurarLineas, insertarLineas, normalizarLinea, lineasPorBoleta };
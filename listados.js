@@ -0,0 +1,270 @@
+// listados.js
+// Paginación (limite/offset o cursor), orden y filtros para los endpoints de listado
+// (compartido por Usuarios, Productos, Boletas y DetalleBoleta)
+//
+// Cada endpoint describe su listado:
+//   {
+//     desde: "FROM boleta b",                  // FROM (y JOINs) de la consulta
+//     seleccion: "b.*",                        // columnas devueltas
+//     id: "b.id",                              // desempate del orden y del cursor
+//     orden: { fecha: { expr: "b.fecha", tipo: "timestamp" }, ... },  // campos permitidos en ?orden (expr nunca NULL)
+//     ordenDefecto: "-fecha",                  // "-" = descendente
+//     filtros: { total_min: { tipo: "numero", sql: (v, p) => `b.total >= ${p(v)}` }, ... },
+//     condiciones: ["b.user_id = $1"], params: [5],   // condiciones fijas (opcional)
+//   }
+// y la respuesta es { datos, total, limite, offset, siguiente_cursor }.
+
+const { parsearFiltroEstado } = require("./estados_boleta");
+const { parsearFecha } = require("./fechas");
+
+const LIMITE_DEFECTO = Number(process.env.LISTADO_LIMITE_DEFECTO) || 20;
+const LIMITE_MAXIMO = Number(process.env.LISTADO_LIMITE_MAXIMO) || 100;
+
+function errorListado(mensaje) {
+  return Object.assign(new Error(mensaje), { status: 400 });
+}
+
+// Convierte el valor de un filtro de query string según su tipo; lanza un error con status 400 si no cuadra
+function convertirFiltro(nombre, valor, tipo) {
+  const texto = String(valor).trim();
+  switch (tipo) {
+    case "numero": {
+      const numero = Number(texto);
+      if (texto === "" || !Number.isFinite(numero)) throw errorListado(`${nombre} debe ser numérico`);
+      return numero;
+    }
+    case "entero": {
+      const numero = Number(texto);
+      if (!/^-?\d+$/.test(texto) || !Number.isSafeInteger(numero)) throw errorListado(`${nombre} debe ser un entero`);
+      return numero;
+    }
+    case "booleano":
+      if (["true", "1"].includes(texto.toLowerCase())) return true;
+      if (["false", "0"].includes(texto.toLowerCase())) return false;
+      throw errorListado(`${nombre} debe ser true o false`);
+    case "fecha":
+      return parsearFecha(texto, nombre);
+    default:
+      return texto;
+  }
+}
+
+// ?orden=precio | -precio. Lanza un error con status 400 si el campo no está permitido.
+function parsearOrden(valor, definicion) {
+  const texto = String(valor || definicion.ordenDefecto || "id").trim();
+  const desc = texto.startsWith("-");
+  const campo = desc ? texto.slice(1) : texto;
+  if (!definicion.orden[campo]) {
+    throw errorListado(`orden debe ser uno de: ${Object.keys(definicion.orden).join(", ")} (prefijo - para descendente)`);
+  }
+  return { campo, desc };
+}
+
+// El cursor guarda el valor del campo de orden (como texto, sin perder precisión) y el id de la última fila
+function codificarCursor(campo, valor, id) {
+  return Buffer.from(JSON.stringify({ c: campo, v: valor, id })).toString("base64url");
+}
+
+// Valores que Postgres acepta para cada tipo de orden sin error de conversión
+// (el cursor llega del cliente y puede venir alterado)
+const ENTERO_INT = 2147483647n;
+const ENTERO_BIGINT = 9223372036854775807n;
+function dentroDe(texto, maximo) {
+  if (!/^-?\d{1,20}$/.test(texto)) return false;
+  const n = BigInt(texto);
+  return n >= -maximo - 1n && n <= maximo;
+}
+function timestampValido(texto) {
+  const partes = /^(\d{4}-\d{2}-\d{2})(?: (\d{2}:\d{2}:\d{2})(?:\.\d{1,6})?)?$/.exec(texto);
+  if (!partes) return false;
+  const esperado = `${partes[1]}T${partes[2] || "00:00:00"}`;
+  const fecha = new Date(`${esperado}Z`);
+  return !Number.isNaN(fecha.getTime()) && fecha.toISOString().slice(0, 19) === esperado;
+}
+const VALORES_CURSOR = {
+  int: (texto) => dentroDe(texto, ENTERO_INT),
+  bigint: (texto) => dentroDe(texto, ENTERO_BIGINT),
+  numeric: (texto) => /^-?\d+(\.\d+)?$/.test(texto),
+  float8: (texto) => /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(texto) && Number.isFinite(Number(texto)),
+  timestamp: timestampValido,
+  text: () => true,
+};
+
+function decodificarCursor(cursor, campo, tipo) {
+  try {
+    const datos = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (datos.c !== campo || typeof datos.v !== "string" || !VALORES_CURSOR[tipo](datos.v)) throw new Error();
+    if (!VALORES_CURSOR.int(String(datos.id))) throw new Error();
+    return datos;
+  } catch (e) {
+    throw errorListado("cursor inválido para este orden");
+  }
+}
+
+// Condiciones fijas + filtros presentes en `query` (salvo los de `omitir`).
+// Devuelve { condiciones, params, p } donde p(valor) agrega un parámetro y devuelve su $n.
+function construirFiltros(definicion, query = {}, omitir = []) {
+  const params = [...(definicion.params || [])];
+  const p = (valor) => {
+    params.push(valor);
+    return `$${params.length}`;
+  };
+  const condiciones = [...(definicion.condiciones || [])];
+
+  for (const [nombre, filtro] of Object.entries(definicion.filtros || {})) {
+    const crudo = query[nombre];
+    if (crudo === undefined || crudo === "" || omitir.includes(nombre)) continue;
+    condiciones.push(filtro.sql(convertirFiltro(nombre, crudo, filtro.tipo), p));
+  }
+  return { condiciones, params, p };
+}
+
+function clausulaWhere(condiciones) {
+  return condiciones.length ? `WHERE ${condiciones.join(" AND ")}` : "";
+}
+
+// Ejecuta el listado. `query` es req.query. Lanza errores con status 400 ante parámetros inválidos.
+async function listar(db, definicion, query = {}) {
+  const { condiciones, params, p } = construirFiltros(definicion, query);
+
+  const limite = query.limite === undefined || query.limite === "" ? LIMITE_DEFECTO : convertirFiltro("limite", query.limite, "entero");
+  if (limite < 1 || limite > LIMITE_MAXIMO) throw errorListado(`limite debe estar entre 1 y ${LIMITE_MAXIMO}`);
+  const offset = query.offset === undefined || query.offset === "" ? 0 : convertirFiltro("offset", query.offset, "entero");
+  if (offset < 0) throw errorListado("offset no puede ser negativo");
+
+  const { campo, desc } = parsearOrden(query.orden, definicion);
+  const { expr, tipo } = definicion.orden[campo];
+  const id = definicion.id || "id";
+  const cursor = query.cursor ? decodificarCursor(query.cursor, campo, tipo) : null;
+
+  const totalResult = await db.query(`SELECT COUNT(*) AS total ${definicion.desde} ${clausulaWhere(condiciones)}`, params);
+
+  // Con cursor se continúa después de la última fila vista (keyset) y offset se ignora
+  const condicionesPagina = [...condiciones];
+  if (cursor) {
+    condicionesPagina.push(`(${expr}, ${id}) ${desc ? "<" : ">"} (${p(cursor.v)}::${tipo}, ${p(cursor.id)})`);
+  }
+  const direccion = desc ? "DESC" : "ASC";
+  const result = await db.query(
+    `SELECT ${definicion.seleccion || "*"}, (${expr})::text AS _cursor_valor, ${id} AS _cursor_id
+     ${definicion.desde}
+     ${clausulaWhere(condicionesPagina)}
+     ORDER BY ${expr} ${direccion}, ${id} ${direccion}
+     LIMIT ${limite + 1} ${cursor ? "" : `OFFSET ${offset}`}`,
+    params
+  );
+
+  const hayMas = result.rows.length > limite;
+  const filas = result.rows.slice(0, limite);
+  const ultima = filas[filas.length - 1];
+
+  return {
+    datos: filas.map(({ _cursor_valor, _cursor_id, ...fila }) => fila),
+    total: Number(totalResult.rows[0].total),
+    limite,
+    offset: cursor ? null : offset,
+    siguiente_cursor: hayMas ? codificarCursor(campo, ultima._cursor_valor, ultima._cursor_id) : null,
+  };
+}
+
+// Listado de boletas con sus filtros (GET /boletas, /boletas/:userId y /detalle)
+const LISTADO_BOLETAS = {
+  desde: "FROM boleta b",
+  seleccion: "b.*",
+  id: "b.id",
+  orden: {
+    fecha: { expr: "COALESCE(b.fecha, TIMESTAMP 'epoch')", tipo: "timestamp" },
+    numero_compra: { expr: "b.numero_compra", tipo: "bigint" },
+    folio: { expr: "COALESCE(b.folio, 0)", tipo: "bigint" },
+    total: { expr: "COALESCE(b.total, 0)", tipo: "numeric" },
+  },
+  ordenDefecto: "-fecha",
+  filtros: {
+    estado: { tipo: "texto", sql: (v, p) => `b.estado = ANY(${p(parsearFiltroEstado(v))}::text[])` },
+    desde: { tipo: "fecha", sql: (v, p) => `b.fecha >= ${p(v)}::date` },
+    hasta: { tipo: "fecha", sql: (v, p) => `b.fecha < ${p(v)}::date + 1` },
+    user_id: { tipo: "entero", sql: (v, p) => `b.user_id = ${p(v)}::bigint` },
+    total_min: { tipo: "numero", sql: (v, p) => `b.total >= ${p(v)}` },
+    total_max: { tipo: "numero", sql: (v, p) => `b.total <= ${p(v)}` },
+  },
+};
+
+// Parámetros comunes para components.parameters de cada Swagger
+const PARAMETROS_SWAGGER = {
+  limite: {
+    in: "query", name: "limite", required: false,
+    schema: { type: "integer", minimum: 1, maximum: LIMITE_MAXIMO, default: LIMITE_DEFECTO },
+    description: "Cantidad de filas por página",
+  },
+  offset: {
+    in: "query", name: "offset", required: false,
+    schema: { type: "integer", minimum: 0, default: 0 },
+    description: "Filas a saltar (paginación por offset). Se ignora si viene cursor",
+  },
+  cursor: {
+    in: "query", name: "cursor", required: false,
+    schema: { type: "string" },
+    description: "Valor de siguiente_cursor de la página anterior (paginación por cursor; usar el mismo orden y filtros)",
+  },
+};
+
+// Filtros de GET /boletas, /boletas/:userId y /detalle
+const PARAMETROS_BOLETAS_SWAGGER = {
+  ordenBoletas: {
+    in: "query", name: "orden", required: false,
+    schema: { type: "string", enum: ["fecha", "-fecha", "numero_compra", "-numero_compra", "folio", "-folio", "total", "-total"], default: "-fecha" },
+    description: "Campo de orden; prefijo - para descendente",
+  },
+  estadoBoletas: {
+    in: "query", name: "estado", required: false,
+    schema: { type: "string" },
+    description: "Filtra por estado (uno o varios separados por coma)",
+    example: "pagada,preparando",
+  },
+  desdeBoletas: {
+    in: "query", name: "desde", required: false,
+    schema: { type: "string", format: "date" },
+    description: "Boletas desde esta fecha (inclusive)",
+  },
+  hastaBoletas: {
+    in: "query", name: "hasta", required: false,
+    schema: { type: "string", format: "date" },
+    description: "Boletas hasta esta fecha (inclusive)",
+  },
+  userIdBoletas: {
+    in: "query", name: "user_id", required: false,
+    schema: { type: "integer" },
+  },
+  totalMin: {
+    in: "query", name: "total_min", required: false,
+    schema: { type: "number" },
+  },
+  totalMax: {
+    in: "query", name: "total_max", required: false,
+    schema: { type: "number" },
+  },
+};
+
+// Esquema de la respuesta paginada para components.schemas
+const ESQUEMA_PAGINA_SWAGGER = {
+  type: "object",
+  properties: {
+    datos: { type: "array", items: { type: "object" } },
+    total: { type: "integer", description: "Filas que cumplen los filtros (sin paginar)", example: 134 },
+    limite: { type: "integer", example: LIMITE_DEFECTO },
+    offset: { type: "integer", nullable: true, example: 0 },
+    siguiente_cursor: { type: "string", nullable: true, description: "null en la última página", example: "eyJjIjoiaWQiLCJ2IjoiMjAiLCJpZCI6MjB9" },
+  },
+};
+
+module.exports = {
+  LIMITE_DEFECTO,
+  LIMITE_MAXIMO,
+  listar,
+  construirFiltros,
+  clausulaWhere,
+  LISTADO_BOLETAS,
+  PARAMETROS_SWAGGER,
+  PARAMETROS_BOLETAS_SWAGGER,
+  ESQUEMA_PAGINA_SWAGGER,
+};
@@ -0,0 +1,78 @@
+// mailer.js
+// Envío de correos con transporte intercambiable (MAIL_TRANSPORT):
+//   console -> imprime el correo en consola (por defecto fuera de producción)
+//   file    -> guarda cada correo como .json en MAIL_DIR (pruebas locales)
+//   smtp    -> envía vía SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (producción)
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+require("dotenv").config();
+
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@ecommerce.com";
+
+// En producción no hay transporte por defecto: con console, los enlaces de verificación y de
+// restablecimiento (tokens de un solo uso que dan acceso a la cuenta) quedarían en los logs.
+if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT) {
+  throw new Error("Con NODE_ENV=production hay que configurar MAIL_TRANSPORT (smtp)");
+}
+
+const transportes = {
+  console: {
+    async enviar(mensaje) {
+      console.log("=== CORREO (console) ===");
+      console.log(`Para: ${mensaje.to}\nAsunto: ${mensaje.subject}\n\n${mensaje.text}`);
+      console.log("========================");
+      return { id: `console-${Date.now()}` };
+    },
+  },
+
+  file: {
+    async enviar(mensaje) {
+      const dir = process.env.MAIL_DIR || path.join(__dirname, "mails");
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const id = `${Date.now()}-${String(mensaje.to).replace(/[^a-zA-Z0-9@._-]/g, "_")}`;
+      await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(mensaje, null, 2));
+      return { id };
+    },
+  },
+
+  smtp: {
+    _transporter: null,
+    async enviar(mensaje) {
+      if (!this._transporter) {
+        this._transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        });
+      }
+      const info = await this._transporter.sendMail(mensaje);
+      return { id: info.messageId };
+    },
+  },
+};
+
+// Permite registrar transportes propios (p. ej. un mock en pruebas)
+function registrarTransporte(nombre, transporte) {
+  transportes[nombre] = transporte;
+}
+
+// Envía un correo con el transporte configurado
+async function enviarCorreo({ para, asunto, texto, html }) {
+  const nombre = process.env.MAIL_TRANSPORT || "console";
+  const transporte = transportes[nombre];
+  if (!transporte) throw new Error(`MAIL_TRANSPORT desconocido: ${nombre}`);
+
+  return transporte.enviar({
+    from: MAIL_FROM,
+    to: para,
+    subject: asunto,
+    text: texto,
+    html: html || undefined,
+  });
+}
+
+module.exports = { enviarCorreo, registrarTransporte };
@@ -0,0 +1,146 @@
+// migrar_uploads.js
+// Copia los archivos de la carpeta local de subidas al almacenamiento configurado (ALMACENAMIENTO=s3)
+// y reescribe las URLs /uploads/... de producto.imagen_url, producto.imagen_variantes y producto_imagen.
+//
+// Uso: node migrar_uploads.js [--dry-run] [--borrar-locales]
+//   --dry-run          solo informa qué se copiaría y cuántas filas cambiarían
+//   --borrar-locales   borra de disco los archivos copiados, después de confirmar los cambios en la BD
+//
+// Se puede ejecutar más de una vez: los archivos se vuelven a copiar con el mismo nombre y las filas
+// ya migradas no tienen URLs /uploads/ que reescribir.
+const fs = require("fs");
+const path = require("path");
+const pool = require("./db");
+const { DIRECTORIO_UPLOADS, PREFIJO_URL_LOCAL, tipoPorNombre, almacenamiento } = require("./almacenamiento");
+
+async function archivosLocales() {
+  try {
+    const entradas = await fs.promises.readdir(DIRECTORIO_UPLOADS, { withFileTypes: true });
+    return entradas.filter((e) => e.isFile() && !e.name.startsWith(".")).map((e) => e.name);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// Reemplaza las URLs locales de un valor (texto o variantes { nombre: { webp, jpeg, ... } }).
+// Las URLs /uploads/ sin archivo en disco se dejan igual y se anotan en `faltantes`.
+function reescribir(valor, nuevas, faltantes) {
+  if (typeof valor === "string") {
+    if (!valor.startsWith(PREFIJO_URL_LOCAL)) return valor;
+    if (nuevas.has(valor)) return nuevas.get(valor);
+    faltantes.add(valor);
+    return valor;
+  }
+  if (Array.isArray(valor)) return valor.map((v) => reescribir(v, nuevas, faltantes));
+  if (valor && typeof valor === "object") {
+    return Object.fromEntries(Object.entries(valor).map(([k, v]) => [k, reescribir(v, nuevas, faltantes)]));
+  }
+  return valor;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const borrarLocales = args.includes("--borrar-locales");
+
+  if (almacenamiento.nombre === "local") {
+    console.log("ALMACENAMIENTO=local: los archivos ya están en su destino, no hay nada que migrar.");
+    return 0;
+  }
+
+  // 1) Copiar archivos (uno a la vez, para no cargar la carpeta completa en memoria)
+  const archivos = await archivosLocales();
+  console.log(`${archivos.length} archivo(s) en ${DIRECTORIO_UPLOADS}${dryRun ? " (dry-run: no se copian)" : ""}`);
+  const nuevas = new Map();
+  for (const [i, archivo] of archivos.entries()) {
+    const urlLocal = PREFIJO_URL_LOCAL + archivo;
+    if (dryRun) {
+      nuevas.set(urlLocal, `(${almacenamiento.nombre}) ${archivo}`);
+      continue;
+    }
+    const contenido = await fs.promises.readFile(path.join(DIRECTORIO_UPLOADS, archivo));
+    nuevas.set(urlLocal, await almacenamiento.guardar(archivo, contenido, tipoPorNombre(archivo)));
+    if ((i + 1) % 100 === 0) console.log(`  ${i + 1}/${archivos.length} copiados`);
+  }
+
+  // 2) Reescribir URLs en una sola transacción
+  const faltantes = new Set();
+  const client = await pool.connect();
+  let productos = 0;
+  let imagenes = 0;
+  try {
+    await client.query("BEGIN");
+
+    const filasProducto = await client.query(
+      `SELECT id, imagen_url, imagen_variantes FROM producto
+       WHERE imagen_url LIKE $1 OR imagen_variantes::text LIKE $2
+       FOR UPDATE`,
+      [`${PREFIJO_URL_LOCAL}%`, `%"${PREFIJO_URL_LOCAL}%`]
+    );
+    for (const p of filasProducto.rows) {
+      const url = reescribir(p.imagen_url, nuevas, faltantes);
+      const variantes = reescribir(p.imagen_variantes, nuevas, faltantes);
+      if (url === p.imagen_url && JSON.stringify(variantes) === JSON.stringify(p.imagen_variantes)) continue;
+      productos += 1;
+      if (!dryRun) {
+        await client.query("UPDATE producto SET imagen_url = $1, imagen_variantes = $2 WHERE id = $3", [
+          url,
+          variantes === null ? null : JSON.stringify(variantes),
+          p.id,
+        ]);
+      }
+    }
+
+    // producto_imagen existe desde que el servicio de productos tiene galería
+    const hayGaleria = (await client.query("SELECT to_regclass('producto_imagen') IS NOT NULL AS existe")).rows[0].existe;
+    if (hayGaleria) {
+      const filasGaleria = await client.query(
+        `SELECT id, url, variantes FROM producto_imagen
+         WHERE url LIKE $1 OR variantes::text LIKE $2
+         FOR UPDATE`,
+        [`${PREFIJO_URL_LOCAL}%`, `%"${PREFIJO_URL_LOCAL}%`]
+      );
+      for (const i of filasGaleria.rows) {
+        const url = reescribir(i.url, nuevas, faltantes);
+        const variantes = reescribir(i.variantes, nuevas, faltantes);
+        if (url === i.url && JSON.stringify(variantes) === JSON.stringify(i.variantes)) continue;
+        imagenes += 1;
+        if (!dryRun) {
+          await client.query("UPDATE producto_imagen SET url = $1, variantes = $2 WHERE id = $3", [
+            url,
+            variantes === null ? null : JSON.stringify(variantes),
+            i.id,
+          ]);
+        }
+      }
+    }
+
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`${dryRun ? "Se actualizarían" : "Actualizados"}: ${productos} producto(s), ${imagenes} imagen(es) de galería`);
+  if (faltantes.size > 0) {
+    console.warn(`${faltantes.size} URL(s) apuntan a archivos que no están en disco y quedaron sin cambios:`);
+    for (const url of faltantes) console.warn(`  ${url}`);
+  }
+
+  // 3) Los archivos locales se borran solo cuando la BD ya apunta al nuevo almacenamiento
+  if (borrarLocales && !dryRun) {
+    for (const archivo of archivos) await fs.promises.unlink(path.join(DIRECTORIO_UPLOADS, archivo)).catch(() => {});
+    console.log(`${archivos.length} archivo(s) local(es) borrado(s)`);
+  }
+  return 0;
+}
+
+main()
+  .then((codigo) => pool.end().then(() => process.exit(codigo)))
+  .catch((err) => {
+    console.error("Error migrando uploads:", err.stack || err);
+    pool.end().finally(() => process.exit(1));
+  });
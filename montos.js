@@ -0,0 +1,9 @@
+// montos.js
+// Redondeo de montos en pesos (compartido por Boletas y DetalleBoleta)
+
+// Redondeo a 2 decimales para montos (lo que no es número cuenta como 0)
+function redondear(monto) {
+  return Math.round((Number(monto) || 0) * 100) / 100;
+}
+
+module.exports = { redondear };
@@ -0,0 +1,55 @@
+// notas_credito.js
+// Notas de crédito: anulan total o parcialmente una boleta sin borrarla
+// (compartido por Boletas y DetalleBoleta)
+
+// Tabla nota_credito (idempotente). La FK es RESTRICT: una boleta con notas no se puede borrar.
+async function asegurarNotasCredito(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS nota_credito (
+      id SERIAL PRIMARY KEY,
+      numero SERIAL UNIQUE,
+      boleta_id INT NOT NULL REFERENCES boleta(id) ON DELETE RESTRICT,
+      numero_compra BIGINT NOT NULL,
+      fecha TIMESTAMP DEFAULT NOW(),
+      motivo TEXT,
+      productos JSONB NOT NULL,
+      total NUMERIC NOT NULL,
+      usuario_id INT
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_nota_credito_boleta ON nota_credito (boleta_id);`);
+}
+
+function normalizarNota(row) {
+  return { ...row, total: Number(row.total) || 0 };
+}
+
+// Notas de crédito de varias boletas, agrupadas por boleta_id
+async function notasPorBoleta(db, boletaIds) {
+  const porBoleta = new Map();
+  if (boletaIds.length === 0) return porBoleta;
+
+  const result = await db.query(
+    "SELECT * FROM nota_credito WHERE boleta_id = ANY($1::int[]) ORDER BY fecha, id",
+    [boletaIds]
+  );
+  for (const row of result.rows) {
+    if (!porBoleta.has(row.boleta_id)) porBoleta.set(row.boleta_id, []);
+    porBoleta.get(row.boleta_id).push(normalizarNota(row));
+  }
+  return porBoleta;
+}
+
+// Cantidades ya acreditadas por producto a partir de las notas de una boleta
+function cantidadesAcreditadas(notas) {
+  const acreditado = new Map();
+  for (const nota of notas) {
+    for (const linea of nota.productos || []) {
+      const id = Number(linea.id);
+      acreditado.set(id, (acreditado.get(id) || 0) + (Number(linea.cantidad) || 0));
+    }
+  }
+  return acreditado;
+}
+
+module.exports = { asegurarNotasCredito, normalizarNota, notasPorBoleta, cantidadesAcreditadas };
@@ -0,0 +1,55 @@
+// rut.js
+// Validación y normalización de RUN/RUT chileno (dígito verificador módulo 11)
+
+// Quita puntos, guiones y espacios; deja la K en mayúscula
+function limpiarRun(valor) {
+  return String(valor || "").replace(/[.\-\s]/g, "").toUpperCase();
+}
+
+// Calcula el dígito verificador del cuerpo numérico
+function calcularDv(cuerpo) {
+  let suma = 0;
+  let multiplo = 2;
+  for (let i = cuerpo.length - 1; i >= 0; i--) {
+    suma += Number(cuerpo[i]) * multiplo;
+    multiplo = multiplo === 7 ? 2 : multiplo + 1;
+  }
+  const resto = 11 - (suma % 11);
+  if (resto === 11) return "0";
+  if (resto === 10) return "K";
+  return String(resto);
+}
+
+// Cuerpo (sin ceros a la izquierda) y dígito verificador, o null si el formato no cuadra.
+// El cuerpo debe tener entre 1 y 8 dígitos y no puede ser 0.
+function separarRun(valor) {
+  const partes = /^(\d+)([0-9K])$/.exec(limpiarRun(valor));
+  if (!partes) return null;
+  const cuerpo = partes[1].replace(/^0+/, "");
+  if (cuerpo === "" || cuerpo.length > 8) return null;
+  return { cuerpo, dv: partes[2] };
+}
+
+// true si el RUN tiene formato válido y su dígito verificador cuadra
+function validarRun(valor) {
+  const run = separarRun(valor);
+  return run !== null && calcularDv(run.cuerpo) === run.dv;
+}
+
+// Formato canónico que se guarda en BD: "12345678-5" (sin puntos, sin ceros a la izquierda).
+// Devuelve null si el RUN no es válido.
+function normalizarRun(valor) {
+  if (!validarRun(valor)) return null;
+  const { cuerpo, dv } = separarRun(valor);
+  return `${cuerpo}-${dv}`;
+}
+
+// Formato de presentación: "12.345.678-5"
+function formatearRun(valor) {
+  const canonico = normalizarRun(valor);
+  if (!canonico) return null;
+  const [cuerpo, dv] = canonico.split("-");
+  return `${cuerpo.replace(/\B(?=(\d{3})+(?!\d))/g, ".")}-${dv}`;
+}
+
+module.exports = { limpiarRun, calcularDv, validarRun, normalizarRun, formatearRun };
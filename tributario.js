@@ -0,0 +1,143 @@
+// tributario.js
+// Desglose de IVA, folio correlativo y datos del emisor de la boleta
+// (compartido por Boletas y DetalleBoleta)
+require("dotenv").config();
+const { redondear } = require("./montos");
+
+// Tasa de IVA vigente (IVA_TASA, 0.19 por defecto). Los precios de producto la incluyen.
+const TASA_IVA = (() => {
+  const tasa = Number(process.env.IVA_TASA);
+  return Number.isFinite(tasa) && tasa >= 0 && tasa < 1 ? tasa : 0.19;
+})();
+
+// Datos del emisor impresos en la boleta (se guardan en cada boleta al emitirla)
+function emisorActual() {
+  return {
+    rut: process.env.EMISOR_RUT || null,
+    razon_social: process.env.EMISOR_RAZON_SOCIAL || null,
+    giro: process.env.EMISOR_GIRO || null,
+    direccion: process.env.EMISOR_DIRECCION || null,
+    comuna: process.env.EMISOR_COMUNA || null,
+  };
+}
+
+// Separa un monto bruto (IVA incluido) en neto e IVA.
+// El neto se redondea al peso, como en el SII; el IVA es la diferencia, así neto + iva = bruto siempre.
+function desglosarIva(bruto, tasa = TASA_IVA) {
+  const monto = Number(bruto) || 0;
+  const neto = Math.round(monto / (1 + Number(tasa)));
+  return { neto, iva: redondear(monto - neto) };
+}
+
+// Agrega neto e IVA a cada línea de la boleta a partir de su subtotal.
+// Redondear cada línea por separado puede no sumar el neto del total (1000 + 1000 → 840 + 840 ≠ 1681):
+// la diferencia queda en la línea de mayor subtotal, así las líneas cuadran con el neto e IVA de la boleta.
+function lineasConIva(lineas, tasa = TASA_IVA) {
+  const subtotales = (lineas || []).map((linea) =>
+    linea.subtotal !== undefined
+      ? Number(linea.subtotal) || 0
+      : (Number(linea.precio) || 0) * (Number(linea.cantidad) || 1)
+  );
+  const resultado = (lineas || []).map((linea, i) => ({ ...linea, ...desglosarIva(subtotales[i], tasa) }));
+  if (resultado.length === 0) return resultado;
+
+  const { neto } = desglosarIva(subtotales.reduce((acc, s) => acc + s, 0), tasa);
+  const diferencia = neto - resultado.reduce((acc, l) => acc + l.neto, 0);
+  if (diferencia !== 0) {
+    const i = subtotales.lastIndexOf(Math.max(...subtotales));
+    const netoLinea = resultado[i].neto + diferencia;
+    resultado[i] = { ...resultado[i], neto: netoLinea, iva: redondear(subtotales[i] - netoLinea) };
+  }
+  return resultado;
+}
+
+// Convierte a número los montos tributarios de una fila de boleta (pg devuelve NUMERIC como string)
+function normalizarMontos(boleta) {
+  return {
+    ...boleta,
+    total: Number(boleta.total) || 0,
+    neto: boleta.neto === null || boleta.neto === undefined ? null : Number(boleta.neto),
+    iva: boleta.iva === null || boleta.iva === undefined ? null : Number(boleta.iva),
+    tasa_iva: boleta.tasa_iva === null || boleta.tasa_iva === undefined ? null : Number(boleta.tasa_iva),
+  };
+}
+
+// Candado de transacción compartido por la migración de folios y por siguienteFolio
+async function bloquearFolios(client) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('folio_correlativo'))");
+}
+
+// Siguiente folio correlativo. Debe llamarse dentro de la transacción que inserta la boleta:
+// la fila del contador queda bloqueada hasta el COMMIT, así no hay folios repetidos ni saltos.
+// Si el contador aún no existe parte desde el mayor folio emitido.
+async function siguienteFolio(client) {
+  await bloquearFolios(client);
+  const result = await client.query(
+    `INSERT INTO folio_correlativo (tipo, ultimo)
+     VALUES ('boleta', COALESCE((SELECT MAX(folio) FROM boleta), 0) + 1)
+     ON CONFLICT (tipo) DO UPDATE SET ultimo = folio_correlativo.ultimo + 1
+     RETURNING ultimo;`
+  );
+  return Number(result.rows[0].ultimo);
+}
+
+// Columnas tributarias de boleta y contador de folios (idempotente). Solo la ejecuta el servicio de Boletas.
+// Las boletas existentes reciben folio por orden de emisión y su desglose con la tasa vigente.
+// Corre en una transacción con el candado de folios: una boleta creada mientras tanto espera en
+// siguienteFolio y no toma un folio que el backfill está asignando.
+async function asegurarTributario(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await bloquearFolios(client);
+
+    await client.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS folio BIGINT;`);
+    await client.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS neto NUMERIC;`);
+    await client.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS iva NUMERIC;`);
+    await client.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS tasa_iva NUMERIC(5,4);`);
+    await client.query(`ALTER TABLE boleta ADD COLUMN IF NOT EXISTS emisor JSONB;`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS boleta_folio_unico ON boleta (folio);`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS folio_correlativo (
+        tipo VARCHAR(30) PRIMARY KEY,
+        ultimo BIGINT NOT NULL
+      );
+    `);
+
+    await client.query(`
+      UPDATE boleta b SET folio = o.n + COALESCE((SELECT MAX(folio) FROM boleta), 0)
+      FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY fecha NULLS FIRST, id) AS n FROM boleta WHERE folio IS NULL) o
+      WHERE b.id = o.id;
+    `);
+    await client.query(`
+      INSERT INTO folio_correlativo (tipo, ultimo)
+      SELECT 'boleta', COALESCE(MAX(folio), 0) FROM boleta
+      ON CONFLICT (tipo) DO UPDATE SET ultimo = GREATEST(folio_correlativo.ultimo, EXCLUDED.ultimo);
+    `);
+
+    await client.query(
+      `UPDATE boleta
+       SET tasa_iva = $1::numeric, neto = ROUND(total / (1 + $1::numeric)), iva = total - ROUND(total / (1 + $1::numeric))
+       WHERE neto IS NULL AND total IS NOT NULL;`,
+      [TASA_IVA]
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TASA_IVA,
+  emisorActual,
+  desglosarIva,
+  lineasConIva,
+  normalizarMontos,
+  siguienteFolio,
+  asegurarTributario,
+};